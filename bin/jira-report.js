@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// jira-report.js - renders a static sprint report (HTML, Markdown, CSV or JSON) from a JIRA SearchRequest.xml,
+// e.g. in a CI job. Uses the bookmarklet's own parsing, grouping and markup (createJiraCore in jira-dashboard.js).
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createJiraCore } = require('../jira-dashboard.js');
+
+const USAGE = `Usage: jira-report [file.xml | -] [options]
+
+Reads a saved SearchRequest.xml (or stdin), or fetches one with --url, and writes a report.
+
+Options:
+  --url <url>                  fetch the SearchRequest.xml URL instead of reading a file;
+                               the token is read from the JIRA_TOKEN environment variable and
+                               sent as Bearer, or as Basic together with JIRA_EMAIL (JIRA Cloud)
+  -o, --output <file>          write to a file instead of stdout
+  -f, --format <format>        html, markdown, csv or json (default: from --output's extension, else html)
+  --view <view>                assignee, sprint, status, priority, parent or kanban (default: assignee)
+  --title <title>              HTML report title (default: "JIRA Sprint Report")
+  --base-url <url>             JIRA instance root for links to tickets outside the results
+  --story-points-field <name>  story points field name or id (default: "Story Points" / "Story point estimate")
+  --epic-link-field <name>     epic link field name or id (default: "Epic Link")
+  --hours-per-day <hours>      working day length for time tracking (default: 8)
+  -h, --help                   show this help
+`;
+
+const FORMATS = {
+  html: (core, data, options) => core.renderReportHtml(data, options),
+  markdown: (core, data) => core.ticketsToMarkdown(data),
+  csv: (core, data) => core.ticketsToCSV(data.tickets),
+  json: (core, data) => JSON.stringify(data, null, 2)
+};
+const FORMAT_BY_EXTENSION = { '.html': 'html', '.htm': 'html', '.md': 'markdown', '.csv': 'csv', '.json': 'json' };
+
+// all pages of a SearchRequest.xml query, paged with tempMax / pager/start like the bookmarklet does
+function fetchTickets(core, url, { token, email }) {
+  const requestedUrl = new URL(url);
+  const authorization = email ? `Basic ${Buffer.from(`${email}:${token}`).toString('base64')}` : `Bearer ${token}`;
+  const pageSize = Math.max(1, Number(requestedUrl.searchParams.get('tempMax')) || 1000);
+  const fetchPage = async (start, signal) => {
+    const pageUrl = new URL(requestedUrl);
+    pageUrl.searchParams.set('tempMax', pageSize);
+    pageUrl.searchParams.set('pager/start', start);
+    let response;
+    try {
+      response = await fetch(pageUrl, { headers: { 'Authorization': authorization, 'Accept': 'application/xml' }, signal });
+    } catch (err) {
+      throw new Error(`could not reach ${pageUrl.origin} (${(err.cause && err.cause.message) || err.message})`);
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`HTTP ${response.status}: JIRA rejected the credentials in ${email ? 'JIRA_EMAIL / JIRA_TOKEN' : 'JIRA_TOKEN'}`);
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const page = core.parseJiraPage(await response.text());
+    // JIRA caps tempMax, so page by the size it actually used
+    return { tickets: page.tickets, total: page.total, pageSize: page.pageSize || pageSize };
+  };
+  return core.fetchAllPages(fetchPage, {
+    onProgress: ({ page, pages, loaded }) => process.stderr.write(`Page ${page}${pages ? ` of ${pages}` : ''} / ${loaded} tickets loaded\n`)
+  });
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      view: { type: 'string', default: 'assignee' },
+      title: { type: 'string', default: 'JIRA Sprint Report' },
+      'base-url': { type: 'string' },
+      'story-points-field': { type: 'string' },
+      'epic-link-field': { type: 'string' },
+      'hours-per-day': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const input = positionals[0];
+  if (!values.url && !input) throw new Error(`no input: pass a SearchRequest.xml file, - for stdin, or --url\n\n${USAGE}`);
+  const format = values.format || FORMAT_BY_EXTENSION[path.extname(values.output || '').toLowerCase()] || 'html';
+  if (!FORMATS[format]) throw new Error(`unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+
+  const config = {
+    STORY_POINTS_FIELD: values['story-points-field'],
+    EPIC_LINK_FIELD: values['epic-link-field'],
+    HOURS_PER_DAY: values['hours-per-day']
+  };
+  const parser = createJiraCore(config);
+  const views = Object.keys(parser.GROUPINGS).concat('kanban');
+  if (!views.includes(values.view)) throw new Error(`unknown view "${values.view}" (expected one of: ${views.join(', ')})`);
+
+  let tickets;
+  if (values.url) {
+    if (!process.env.JIRA_TOKEN) throw new Error('--url needs a token in the JIRA_TOKEN environment variable');
+    tickets = await fetchTickets(parser, values.url, { token: process.env.JIRA_TOKEN, email: process.env.JIRA_EMAIL });
+  } else {
+    tickets = parser.parseJiraXML(fs.readFileSync(input === '-' ? 0 : input, 'utf8'));
+  }
+
+  // a saved file only names the instance in its ticket links
+  const baseUrl = values['base-url']
+    || (values.url ? values.url.replace(/\/(sr|rest|issues|browse)\/.*$/, '') : (tickets.find(t => t.link) || { link: '' }).link.replace(/\/browse\/[^/]*$/, ''));
+  const core = createJiraCore(Object.assign({}, config, { BASE_URL: baseUrl }));
+  const data = core.createReportData(tickets, core.GROUPINGS[values.view] ? values.view : 'status');
+  const report = FORMATS[format](core, data, { title: values.title, view: values.view });
+
+  if (values.output) {
+    fs.writeFileSync(values.output, report);
+    process.stderr.write(`Wrote ${tickets.length} tickets to ${values.output}\n`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  process.stderr.write(`jira-report: ${err.message}\n`);
+  process.exitCode = 1;
+});
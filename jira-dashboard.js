@@ -1,285 +1,1702 @@
 // jira-dashboard.js - Refactored, self-contained
-// Small, robust renderer that parses JIRA XML, extracts comments, and renders a dashboard
-window.createJiraDashboard = function(config) {
+// Small, robust renderer that parses JIRA XML (or REST search JSON), extracts comments, and renders a dashboard.
+// createJiraCore() holds everything that needs no browser (parsing, grouping, exports, ticket markup); the
+// bookmarklet's createJiraDashboard() builds on it and bin/jira-report.js requires this file from Node.
+function createJiraCore(config = {}) {
+  // xml: browsers parse with DOMParser; elsewhere (Node) a small parser builds just enough of a DOM for
+  // parseJiraDocument: getAttribute, textContent and querySelector(All) with tag names joined by
+  // descendant or child (>) combinators
+  const decodeXmlEntities = text => text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (m, e) => {
+    if (e[0] !== '#') return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[e];
+    return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  });
+
+  function xmlElement(name, attributes, parent) {
+    const el = {
+      name,
+      parent,
+      children: [],
+      getAttribute: attr => (Object.prototype.hasOwnProperty.call(attributes, attr) ? attributes[attr] : null),
+      querySelectorAll: selector => queryXml(el, selector),
+      querySelector: selector => queryXml(el, selector)[0] || null
+    };
+    Object.defineProperty(el, 'textContent', { get: () => el.children.map(c => (typeof c === 'string' ? c : c.textContent)).join('') });
+    return el;
+  }
+
+  // descendants of `root` in document order; like the DOM, ancestors may lie outside `root`
+  function queryXml(root, selector) {
+    const names = [];
+    const childOf = [];
+    selector.trim().split(/\s*(>)\s*|\s+/).filter(Boolean).forEach(part => {
+      if (part === '>') childOf[names.length] = true;
+      else names.push(part);
+    });
+    const matches = (el, i) => {
+      if (!el || el.name !== names[i]) return false;
+      if (i === 0) return true;
+      if (childOf[i]) return matches(el.parent, i - 1);
+      for (let p = el.parent; p; p = p.parent) if (matches(p, i - 1)) return true;
+      return false;
+    };
+    const found = [];
+    const walk = node => node.children.forEach(child => {
+      if (typeof child === 'string') return;
+      if (matches(child, names.length - 1)) found.push(child);
+      walk(child);
+    });
+    walk(root);
+    return found;
+  }
+
+  // parse failures are tagged so callers can tell them apart from network and HTTP errors
+  const xmlError = message => Object.assign(new Error(`Malformed XML: ${message}`), { kind: 'parse' });
+
+  function parseXml(xmlText) {
+    const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[^\]]*\])*>|<\/([^\s>]+)\s*>|<([^\s>/!?]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+/y;
+    const doc = xmlElement('#document', {}, null);
+    let current = doc;
+    let pos = 0;
+    while (pos < xmlText.length) {
+      token.lastIndex = pos;
+      const m = token.exec(xmlText);
+      if (!m) throw xmlError(`unexpected text at offset ${pos}`);
+      pos = token.lastIndex;
+      const [text, cdata, closeName, openName, rawAttributes, selfClosing] = m;
+      if (openName) {
+        const attributes = {};
+        rawAttributes.replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (a, name, dq, sq) => {
+          attributes[name] = decodeXmlEntities(dq !== undefined ? dq : sq);
+          return '';
+        });
+        const el = xmlElement(openName, attributes, current);
+        current.children.push(el);
+        if (!selfClosing) current = el;
+      } else if (closeName) {
+        if (closeName !== current.name) throw xmlError(`unexpected </${closeName}> at offset ${pos - text.length}`);
+        current = current.parent;
+      } else if (cdata !== undefined) {
+        current.children.push(cdata);
+      } else if (text[0] !== '<') {
+        current.children.push(decodeXmlEntities(text));
+      }
+    }
+    if (current !== doc) throw xmlError(`<${current.name}> is never closed`);
+    if (!doc.children.some(c => typeof c !== 'string')) throw xmlError('no root element');
+    return doc;
+  }
+
+  const domParser = () => config.DOMParser || (typeof DOMParser === 'undefined' ? null : DOMParser);
+
+  function parseXmlDocument(xmlText) {
+    const Parser = domParser();
+    if (!Parser) return parseXml(xmlText);
+    // DOMParser does not throw: it returns a document with a <parsererror> element instead
+    const xmlDoc = new Parser().parseFromString(xmlText, 'text/xml');
+    const error = xmlDoc.querySelector('parsererror');
+    if (error) throw xmlError((error.textContent || '').replace(/\s+/g, ' ').trim() || 'the response could not be parsed');
+    return xmlDoc;
+  }
+
+  // parse
+  // instance root used for REST ticket links and links to tickets outside the results
+  const BASE_URL = String(config.BASE_URL || '').replace(/\/+$/, '');
+  // the story points custom field differs per instance: match it by field name or id (customfield_10002)
+  const STORY_POINTS_FIELDS = [].concat(config.STORY_POINTS_FIELD || ['Story Points', 'Story point estimate']);
+  const EPIC_LINK_FIELDS = [].concat(config.EPIC_LINK_FIELD || ['Epic Link']);
+  const parseNumber = v => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  function parseJiraXML(xmlText) {
+    return parseJiraDocument(parseXmlDocument(xmlText));
+  }
+
+  // one SearchRequest.xml page: its tickets plus <issue start="0" end="1000" total="2500">, i.e. the result
+  // total and the page size the server actually used, which may be below the tempMax asked for (null if absent)
+  function parseJiraPage(xmlText) {
+    const xmlDoc = parseXmlDocument(xmlText);
+    const issue = xmlDoc.querySelector('issue');
+    const number = name => {
+      const n = parseInt(issue?.getAttribute(name), 10);
+      return Number.isFinite(n) ? n : null;
+    };
+    const start = number('start');
+    const end = number('end');
+    return { tickets: parseJiraDocument(xmlDoc), total: number('total'), pageSize: start !== null && end > start ? end - start : null };
+  }
+
+  function parseJiraDocument(xmlDoc) {
+    const tickets = [];
+    const items = xmlDoc.querySelectorAll('item');
+
+    items.forEach(item => {
+      try {
+        // textContent is already the unescaped HTML: decoding entities again would turn text into tags
+        const description = (item.querySelector('description')?.textContent || '').trim();
+
+        // comments
+        const commentsNode = item.querySelector('comments');
+        let comments = [];
+        if (commentsNode) {
+          comments = Array.from(commentsNode.querySelectorAll('comment')).map(c => ({
+            id: c.getAttribute('id') || null,
+            author: c.getAttribute('author') || c.getAttribute('username') || 'Unknown',
+            created: c.getAttribute('created') || null,
+            body: (c.textContent || '').trim()
+          }));
+        }
+
+        // Parse Sprint, story points and epic link from customfields
+        let sprint = 'No Sprint';
+        let storyPoints = null;
+        let epicKey;
+        const customfields = item.querySelectorAll('customfield');
+        customfields.forEach(cf => {
+          const name = cf.querySelector('customfieldname')?.textContent || '';
+          if (name === 'Sprint') {
+            const val = cf.querySelector('customfieldvalue')?.textContent;
+            if (val) sprint = val;
+          }
+          if (STORY_POINTS_FIELDS.includes(name) || STORY_POINTS_FIELDS.includes(cf.getAttribute('id'))) {
+            const val = parseNumber(cf.querySelector('customfieldvalue')?.textContent);
+            if (val !== null) storyPoints = val;
+          }
+          if (EPIC_LINK_FIELDS.includes(name) || EPIC_LINK_FIELDS.includes(cf.getAttribute('id'))) {
+            const val = (cf.querySelector('customfieldvalue')?.textContent || '').trim();
+            if (val) epicKey = val;
+          }
+        });
+
+        // <issuelinks><issuelinktype><name>Blocks</name><inwardlinks description="is blocked by"><issuelink><issuekey>
+        const links = [];
+        item.querySelectorAll('issuelinks > issuelinktype').forEach(lt => {
+          const type = lt.querySelector('name')?.textContent || '';
+          ['outward', 'inward'].forEach(direction => {
+            const group = lt.querySelector(`${direction}links`);
+            if (!group) return;
+            group.querySelectorAll('issuekey').forEach(k => links.push({
+              type,
+              direction,
+              description: group.getAttribute('description') || type,
+              key: (k.textContent || '').trim(),
+              status: null,
+              summary: null
+            }));
+          });
+        });
+        const subtaskKeys = Array.from(item.querySelectorAll('subtasks > subtask')).map(st => (st.textContent || '').trim()).filter(Boolean);
+
+        // time tracking comes as <timespent seconds="3600">1 hour</timespent>
+        const seconds = name => parseNumber(item.querySelector(name)?.getAttribute('seconds'));
+
+        const ticket = {
+          // the browse link, like parseJiraRestSearch
+          id: item.querySelector('link')?.textContent || '',
+          key: item.querySelector('key')?.textContent || (item.querySelector('title')?.textContent || '').split(':')[0] || '',
+          summary: item.querySelector('summary')?.textContent || item.querySelector('title')?.textContent?.replace(/^[^:]*:\s*/, '') || '',
+          description,
+          type: item.querySelector('type')?.textContent || 'Task',
+          status: item.querySelector('status')?.textContent || 'Unknown',
+          assignee: item.querySelector('assignee')?.textContent || item.querySelector('reporter')?.textContent || 'Unassigned',
+          priority: item.querySelector('priority')?.textContent || 'Medium',
+          updated: item.querySelector('updated')?.textContent || item.querySelector('pubDate')?.textContent || new Date().toISOString(),
+          created: item.querySelector('created')?.textContent || item.querySelector('pubDate')?.textContent || new Date().toISOString(),
+          parentKey: item.querySelector('parent')?.textContent || undefined,
+          link: item.querySelector('link')?.textContent || '',
+          comments,
+          sprint,
+          storyPoints,
+          originalEstimate: seconds('timeoriginalestimate'),
+          remainingEstimate: seconds('timeestimate'),
+          timeSpent: seconds('timespent'),
+          due: (item.querySelector('due')?.textContent || '').trim() || null,
+          epicKey,
+          links,
+          subtaskKeys
+        };
+
+        if (ticket.key) tickets.push(ticket);
+      } catch (e) {
+        console.warn('Failed to parse ticket', e);
+      }
+    });
+
+    return tickets;
+  }
+
+  // normalize a /rest/api/2/search response into the same ticket shape parseJiraXML produces
+  function parseJiraRestSearch(data) {
+    const names = data.names || {};
+    const fieldIdByName = name => Object.keys(names).find(id => names[id] === name);
+    const sprintField = fieldIdByName('Sprint');
+    const storyPointsField = STORY_POINTS_FIELDS.map(f => (names[f] ? f : fieldIdByName(f))).find(Boolean);
+    const epicLinkField = EPIC_LINK_FIELDS.map(f => (names[f] ? f : fieldIdByName(f))).find(Boolean);
+    const tickets = [];
+
+    (data.issues || []).forEach(issue => {
+      try {
+        const fields = issue.fields || {};
+        const rendered = issue.renderedFields || {};
+        const renderedComments = (rendered.comment && rendered.comment.comments) || [];
+        const comments = ((fields.comment && fields.comment.comments) || []).map((c, i) => {
+          const renderedComment = renderedComments.find(r => r.id === c.id) || renderedComments[i] || {};
+          return {
+            id: c.id || null,
+            // SearchRequest.xml names comment authors by username
+            author: (c.author && (c.author.name || c.author.displayName)) || 'Unknown',
+            created: parseRestDate(c.created),
+            body: (renderedComment.body || c.body || '').trim()
+          };
+        });
+
+        const link = `${BASE_URL}/browse/${issue.key}`;
+        const links = (fields.issuelinks || []).map(l => {
+          const direction = l.inwardIssue ? 'inward' : 'outward';
+          const other = l.inwardIssue || l.outwardIssue || {};
+          const otherFields = other.fields || {};
+          return {
+            type: (l.type && l.type.name) || '',
+            direction,
+            description: (l.type && l.type[direction]) || (l.type && l.type.name) || '',
+            key: other.key || '',
+            status: (otherFields.status && otherFields.status.name) || null,
+            summary: otherFields.summary || null
+          };
+        }).filter(l => l.key);
+        // team-managed projects put the epic in "parent" instead of an Epic Link field
+        const parentIsEpic = !!(fields.parent && fields.parent.fields && fields.parent.fields.issuetype && fields.parent.fields.issuetype.name === 'Epic');
+        const ticket = {
+          id: link,
+          key: issue.key || '',
+          summary: fields.summary || '',
+          description: (rendered.description || fields.description || '').trim(),
+          type: (fields.issuetype && fields.issuetype.name) || 'Task',
+          status: (fields.status && fields.status.name) || 'Unknown',
+          assignee: (fields.assignee && fields.assignee.displayName) || 'Unassigned',
+          priority: (fields.priority && fields.priority.name) || 'Medium',
+          updated: parseRestDate(fields.updated) || new Date().toISOString(),
+          created: parseRestDate(fields.created) || new Date().toISOString(),
+          parentKey: (fields.parent && fields.parent.key) || undefined,
+          link,
+          comments,
+          sprint: parseRestSprint(sprintField ? fields[sprintField] : null),
+          storyPoints: storyPointsField ? parseNumber(fields[storyPointsField]) : null,
+          originalEstimate: parseNumber(fields.timeoriginalestimate),
+          remainingEstimate: parseNumber(fields.timeestimate),
+          timeSpent: parseNumber(fields.timespent),
+          due: parseRestDate(fields.duedate),
+          epicKey: (epicLinkField && fields[epicLinkField]) || (parentIsEpic ? fields.parent.key : undefined),
+          links,
+          subtaskKeys: (fields.subtasks || []).map(st => st.key).filter(Boolean)
+        };
+
+        if (ticket.key) tickets.push(ticket);
+      } catch (e) {
+        console.warn('Failed to parse ticket', e);
+      }
+    });
+
+    return tickets;
+  }
+
+  // REST dates are ISO 8601 ("2024-07-01T09:00:00.000+0000", due dates "2024-07-12") where SearchRequest.xml
+  // writes RFC 822 ("Mon, 1 Jul 2024 09:00:00 +0000"): rewrite them the XML way, keeping JIRA's offset
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  function parseRestDate(value) {
+    const match = /^(\d{4})-(\d\d)-(\d\d)(?:T(\d\d):(\d\d)(?::(\d\d))?(?:\.\d+)?(Z|[+-]\d\d:?\d\d)?)?$/.exec(value || '');
+    if (!match) return value || null;
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00', zone = 'Z'] = match;
+    const weekday = WEEKDAYS[new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))).getUTCDay()];
+    const offset = zone === 'Z' ? '+0000' : zone.replace(':', '');
+    return `${weekday}, ${Number(day)} ${MONTHS[Number(month) - 1]} ${year} ${hours}:${minutes}:${seconds} ${offset}`;
+  }
+
+  // Sprint comes back as objects (Cloud) or as serialized "...Sprint@1a2b[id=1,...,name=Sprint 12,...]"
+  // strings (Server/DC). Like the XML parser, the first sprint wins.
+  function parseRestSprint(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (!first) return 'No Sprint';
+    if (typeof first === 'object') return first.name || 'No Sprint';
+    const match = String(first).match(/[[,]name=([^,\]]*)/);
+    return match ? match[1] : String(first);
+  }
+
+  // fetch: fetchPage(start, signal) resolves to { tickets, total, pageSize }. The first page tells us the
+  // total, the rest are fetched in parallel; tickets are de-duplicated by key.
+  async function fetchAllPages(fetchPage, { signal, onProgress = () => {}, maxConcurrent = 3 } = {}) {
+    const byKey = new Map();
+    const merge = tickets => tickets.forEach(t => { if (!byKey.has(t.key)) byKey.set(t.key, t); });
+
+    const first = await fetchPage(0, signal);
+    merge(first.tickets);
+    // a first page shorter than asked for (and than the total) means the server capped the page size
+    const capped = first.tickets.length < first.pageSize && (first.total === null || first.tickets.length < first.total);
+    const pageSize = capped && first.tickets.length ? first.tickets.length : first.pageSize;
+    let pagesDone = 1;
+    if (first.total === null) {
+      // older instances omit <issue total="...">: keep going until a short page, or one with nothing new
+      // (a server ignoring the start offset), comes back
+      let last = first;
+      let added = byKey.size;
+      onProgress({ page: pagesDone, pages: null, loaded: byKey.size });
+      while (added && last.tickets.length >= pageSize) {
+        const loaded = byKey.size;
+        last = await fetchPage(pagesDone * pageSize, signal);
+        merge(last.tickets);
+        added = byKey.size - loaded;
+        pagesDone++;
+        onProgress({ page: pagesDone, pages: null, loaded: byKey.size });
+      }
+      return Array.from(byKey.values());
+    }
+
+    const pages = Math.max(1, Math.ceil(first.total / pageSize));
+    onProgress({ page: pagesDone, pages, loaded: byKey.size });
+    const starts = [];
+    for (let p = 1; p < pages; p++) starts.push(p * pageSize);
+
+    // simple worker pool: at most maxConcurrent pages in flight. The first failed page aborts the
+    // pages still in flight and stops the other workers, so nothing keeps loading behind the error.
+    const results = new Array(starts.length);
+    const pool = new AbortController();
+    const abortPool = () => pool.abort(signal.reason);
+    if (signal) signal.aborted ? abortPool() : signal.addEventListener('abort', abortPool);
+    let next = 0;
+    const worker = async () => {
+      while (next < starts.length && !pool.signal.aborted) {
+        const index = next++;
+        try {
+          results[index] = (await fetchPage(starts[index], pool.signal)).tickets;
+        } catch (err) {
+          pool.abort(err);
+          throw err;
+        }
+        pagesDone++;
+        onProgress({ page: pagesDone, pages, loaded: byKey.size + results.reduce((n, r) => n + (r ? r.length : 0), 0) });
+      }
+    };
+    try {
+      await Promise.all(Array.from({ length: Math.min(maxConcurrent, starts.length) }, worker));
+    } finally {
+      if (signal) signal.removeEventListener('abort', abortPool);
+    }
+    if (pool.signal.aborted) throw pool.signal.reason;
+    // merge in page order so the result keeps JIRA's sort order regardless of arrival order
+    results.forEach(merge);
+    return Array.from(byKey.values());
+  }
+
+  // helpers
+  function formatDate(dateString) {
+    if (!dateString) return '';
+    try {
+      const d = new Date(dateString);
+      return d.toLocaleString();
+    } catch (e) {
+      return dateString;
+    }
+  }
+
+  // sanitize: everything from JIRA is untrusted and ends up in insertAdjacentHTML or a report file
+  const escapeHtml = (v = '') => String(v == null ? '' : v)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  // only http(s), mailto, relative and fragment links survive; images may also be data:image
+  function sanitizeUrl(url, { allowDataImage = false } = {}) {
+    const value = String(url || '').trim();
+    if (!value) return '';
+    const normalized = value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) return value;
+    if (['http', 'https', 'mailto'].includes(scheme[1])) return value;
+    if (allowDataImage && /^data:image\/(png|gif|jpe?g|webp);/.test(normalized)) return value;
+    return '';
+  }
+
+  // formatting tags JIRA emits in description/comment HTML, with the attributes we keep for each
+  const SANITIZE_ALLOWED_TAGS = {
+    a: ['href', 'title'], abbr: ['title'], b: [], blockquote: [], br: [], caption: [], code: [], del: [],
+    div: [], em: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [], ins: [],
+    img: ['src', 'alt', 'title', 'width', 'height'], li: [], ol: ['start'], p: [], pre: [], s: [],
+    small: [], span: [], strike: [], strong: [], sub: [], sup: [], table: [], tbody: [],
+    td: ['colspan', 'rowspan'], tfoot: [], th: ['colspan', 'rowspan'], thead: [], tr: [], tt: [], u: [], ul: []
+  };
+  // dropped together with their content; any other unknown tag is unwrapped
+  const SANITIZE_DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'base', 'svg', 'math', 'template', 'noscript'];
+  const SANITIZE_VOID_TAGS = ['br', 'hr', 'img'];
+  const HTML_TOKEN = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>?|<(\/?)([A-Za-z][A-Za-z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  const HTML_ATTRIBUTE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', euro: '€'
+  };
+  const decodeHtmlEntities = text => text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (m, e) => {
+    if (e[0] !== '#') return HTML_ENTITIES[e.toLowerCase()] || m;
+    const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+
+  // Browsers sanitize a parsed DOM, so the result is exactly what the browser would have rendered
+  function sanitizeHtmlDocument(html, Parser) {
+    // DOMParser documents are inert: nothing loads or runs while we walk them
+    const doc = new Parser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const clean = node => {
+      Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === 3) return; // text
+        if (child.nodeType !== 1) { child.remove(); return; } // comments, PIs
+        const tag = child.nodeName.toLowerCase();
+        if (SANITIZE_DROPPED_TAGS.includes(tag)) { child.remove(); return; }
+        clean(child);
+        const allowedAttrs = SANITIZE_ALLOWED_TAGS[tag];
+        if (!allowedAttrs) { child.replaceWith(...Array.from(child.childNodes)); return; }
+        Array.from(child.attributes).forEach(attr => {
+          const name = attr.name.toLowerCase();
+          if (!allowedAttrs.includes(name)) { child.removeAttribute(attr.name); return; }
+          if (name === 'href' || name === 'src') {
+            const safe = sanitizeUrl(attr.value, { allowDataImage: name === 'src' });
+            if (safe) child.setAttribute(attr.name, safe); else child.removeAttribute(attr.name);
+          }
+        });
+        if (tag === 'a') {
+          child.setAttribute('target', '_blank');
+          child.setAttribute('rel', 'noopener noreferrer');
+        }
+      });
+    };
+    clean(doc.body);
+    return doc;
+  }
+
+  // Without a DOMParser (Node) we work on a token stream. Nothing from the input is copied through:
+  // allowed tags are re-serialized with checked, re-escaped attributes, text is escaped (well-formed
+  // entities are kept) and tags left open are closed at the end.
+  function sanitizeHtmlTokens(html) {
+    const out = [];
+    const open = [];
+    let dropped = null; // { tag, depth } while inside a dropped element
+    String(html).replace(HTML_TOKEN, (token, closing, tagName, rawAttributes) => {
+      if (!tagName) {
+        if (dropped || /^<./.test(token)) return ''; // comments, doctypes, PIs
+        out.push(token === '<' ? '&lt;' : token.replace(/&(?!(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);)/gi, '&amp;').replace(/>/g, '&gt;'));
+        return '';
+      }
+      const tag = tagName.toLowerCase();
+      const selfClosing = /\/\s*$/.test(rawAttributes);
+      if (dropped) {
+        if (tag === dropped.tag && !selfClosing) dropped.depth += closing ? -1 : 1;
+        if (!dropped.depth) dropped = null;
+        return '';
+      }
+      if (SANITIZE_DROPPED_TAGS.includes(tag)) {
+        if (!closing && !selfClosing) dropped = { tag, depth: 1 };
+        return '';
+      }
+      const allowedAttrs = SANITIZE_ALLOWED_TAGS[tag];
+      if (!allowedAttrs) return '';
+      if (closing) {
+        const i = open.lastIndexOf(tag);
+        if (i !== -1) open.splice(i).reverse().forEach(t => out.push(`</${t}>`));
+        return '';
+      }
+      let attrs = '';
+      const seen = new Set();
+      rawAttributes.replace(HTML_ATTRIBUTE, (a, rawName, dq, sq, uq) => {
+        const name = rawName.toLowerCase();
+        if (!allowedAttrs.includes(name) || seen.has(name)) return '';
+        seen.add(name);
+        let value = decodeHtmlEntities(dq !== undefined ? dq : sq !== undefined ? sq : uq || '');
+        if (name === 'href' || name === 'src') value = sanitizeUrl(value, { allowDataImage: name === 'src' });
+        if (value || (name !== 'href' && name !== 'src')) attrs += ` ${name}="${escapeHtml(value)}"`;
+        return '';
+      });
+      if (tag === 'a') attrs += ' target="_blank" rel="noopener noreferrer"';
+      out.push(`<${tag}${attrs}>`);
+      if (!SANITIZE_VOID_TAGS.includes(tag)) open.push(tag);
+      return '';
+    });
+    open.reverse().forEach(t => out.push(`</${t}>`));
+    return out.join('');
+  }
+
+  function sanitizeHtml(html) {
+    if (!html) return '';
+    const Parser = domParser();
+    return Parser ? sanitizeHtmlDocument(html, Parser).body.innerHTML : sanitizeHtmlTokens(html);
+  }
+
+  const getStatusColor = (s = '') => {
+    const status = s.toLowerCase();
+    if (status.includes('done') || status.includes('closed')) return '#22c55e';
+    if (status.includes('progress')) return '#3b82f6';
+    if (status.includes('todo') || status.includes('to do')) return '#f59e0b';
+    if (status.includes('blocked')) return '#ef4444';
+    return '#6b7280';
+  };
+
+  const getPriorityColor = (p = '') => {
+    const priority = p.toLowerCase();
+    if (priority.includes('highest') || priority.includes('critical')) return '#dc2626';
+    if (priority.includes('high')) return '#ea580c';
+    if (priority.includes('medium')) return '#ca8a04';
+    if (priority.includes('low')) return '#16a34a';
+    return '#6b7280';
+  };
+
+  // workload
+  const HOURS_PER_DAY = Number(config.HOURS_PER_DAY) || 8;
+  const isDoneStatus = (s = '') => /done|closed|resolved/.test(s.toLowerCase());
+  const isOverdue = t => !!t.due && !isDoneStatus(t.status) && new Date(t.due).getTime() < Date.now();
+
+  // seconds -> "2d 3h" using JIRA's working day, like the issue view does
+  function formatDuration(seconds) {
+    if (!seconds) return '0h';
+    const hours = Math.round(seconds / 360) / 10;
+    const days = Math.floor(hours / HOURS_PER_DAY);
+    const rest = Math.round((hours - days * HOURS_PER_DAY) * 10) / 10;
+    return [days ? `${days}d` : '', rest ? `${rest}h` : ''].filter(Boolean).join(' ') || '0h';
+  }
+
+  const formatPoints = n => String(Math.round(n * 10) / 10);
+
+  // points committed vs. done per sprint plus time tracking totals for a set of tickets
+  function computeWorkload(tickets) {
+    const workload = { sprints: {}, committed: 0, done: 0, remaining: 0, spent: 0, overdue: [] };
+    tickets.forEach(t => {
+      const sprint = t.sprint || 'No Sprint';
+      if (!workload.sprints[sprint]) workload.sprints[sprint] = { committed: 0, done: 0, remaining: 0, spent: 0 };
+      const bucket = workload.sprints[sprint];
+      const points = t.storyPoints || 0;
+      const done = isDoneStatus(t.status);
+      [bucket, workload].forEach(w => {
+        w.committed += points;
+        if (done) w.done += points;
+        if (!done) w.remaining += t.remainingEstimate || 0;
+        w.spent += t.timeSpent || 0;
+      });
+      if (isOverdue(t)) workload.overdue.push(t);
+    });
+    return workload;
+  }
+
+  // grouping: every view pivots the same tickets into buckets of { userStoriesBySprint, tasks, raw }
+  const isStory = t => (t.type || '').toLowerCase().includes('story');
+  const GROUPINGS = {
+    assignee: { label: 'Assignee', key: t => t.assignee || 'Unassigned' },
+    sprint: { label: 'Sprint', key: t => t.sprint || 'No Sprint' },
+    status: { label: 'Status', key: t => t.status || 'Unknown' },
+    priority: { label: 'Priority', key: t => t.priority || 'None' },
+    // subtasks follow their story so the story → subtasks nesting survives the pivot
+    parent: {
+      label: 'Parent / Epic',
+      key: (t, byKey) => {
+        const parent = !isStory(t) && byKey.get(t.parentKey);
+        const owner = parent && isStory(parent) ? parent : t;
+        return owner.epicKey || owner.parentKey || 'No Parent';
+      }
+    }
+  };
+
+  // byKey looks up parents; pass the whole result set's so a filtered-out story still leads its subtasks to the epic
+  function groupTickets(tickets, by = 'assignee', byKey = new Map(tickets.map(t => [t.key, t]))) {
+    const grouping = GROUPINGS[by] || GROUPINGS.assignee;
+    // For each group, group userStories by sprint
+    return tickets.reduce((acc, t) => {
+      const group = grouping.key(t, byKey);
+      if (!acc[group]) acc[group] = { userStoriesBySprint: {}, tasks: [], raw: [] };
+      acc[group].raw.push(t);
+      if (isStory(t)) {
+        const sprint = t.sprint || 'No Sprint';
+        if (!acc[group].userStoriesBySprint[sprint]) acc[group].userStoriesBySprint[sprint] = [];
+        acc[group].userStoriesBySprint[sprint].push(t);
+      } else {
+        acc[group].tasks.push(t);
+      }
+      return acc;
+    }, {});
+  }
+
+  // Kanban columns follow the configured workflow; statuses it does not name are appended
+  const WORKFLOW = [].concat(config.WORKFLOW || ['Open', 'To Do', 'Backlog', 'Selected for Development', 'In Progress', 'In Review', 'Blocked', 'Resolved', 'Done', 'Closed']);
+  function orderStatuses(statuses) {
+    const rank = s => {
+      const i = WORKFLOW.findIndex(w => w.toLowerCase() === (s || '').toLowerCase());
+      return i === -1 ? WORKFLOW.length : i;
+    };
+    return Array.from(new Set(statuses)).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  }
+
+  function computeStats(tickets) {
+    return {
+      totalTickets: tickets.length,
+      userStories: tickets.filter(t => (t.type || '').toLowerCase().includes('story')).length,
+      tasks: tickets.filter(t => (t.type || '').toLowerCase().includes('task')).length,
+      assignees: new Set(tickets.map(t => t.assignee || 'Unassigned')).size,
+      workload: computeWorkload(tickets)
+    };
+  }
+
+  // what the dashboard shows and exports: the tickets, their grouping and the stats
+  function createReportData(tickets, groupBy = 'assignee', byKey) {
+    return { tickets, groupedTickets: groupTickets(tickets, groupBy, byKey), groupBy, stats: computeStats(tickets) };
+  }
+
+  // dependencies: "blocks" links from either side, over the full result set (not just the filtered view)
+  const isBlockLink = l => /block/i.test(l.type) || /block/i.test(l.description);
+  const browseUrl = key => `${BASE_URL}/browse/${encodeURIComponent(key)}`;
+
+  function buildDependencyGraph(tickets) {
+    const graph = { byKey: new Map(tickets.map(t => [t.key, t])), blockedBy: new Map(), blocks: new Map(), linked: new Map() };
+    const add = (map, from, to) => {
+      if (!map.has(from)) map.set(from, new Set());
+      map.get(from).add(to);
+    };
+    tickets.forEach(t => (t.links || []).forEach(l => {
+      // remember what the link told us about tickets outside the result set
+      if (!graph.linked.has(l.key) || l.status) graph.linked.set(l.key, { status: l.status, summary: l.summary });
+      if (!isBlockLink(l)) return;
+      const [blocked, blocker] = l.direction === 'inward' ? [t.key, l.key] : [l.key, t.key];
+      add(graph.blockedBy, blocked, blocker);
+      add(graph.blocks, blocker, blocked);
+    }));
+    return graph;
+  }
+
+  // status/summary of any linked ticket, whether or not it is in the current results
+  function linkedTicketInfo(graph, key) {
+    const t = graph.byKey && graph.byKey.get(key);
+    if (t) return { key, status: t.status, summary: t.summary, link: sanitizeUrl(t.link) || browseUrl(key), inResults: true };
+    const info = graph.linked.get(key) || {};
+    return { key, status: info.status || null, summary: info.summary || null, link: browseUrl(key), inResults: false };
+  }
+
+  const openBlockersOf = (graph, key) => Array.from(graph.blockedBy.get(key) || [])
+    .filter(k => !isDoneStatus(linkedTicketInfo(graph, k).status || ''));
+
+  // open tickets are red (blockers) unless `colors` says otherwise
+  function linkedTicketBadgeHtml(info, prefix, colors = { background: '#fee2e2', color: '#b91c1c' }) {
+    const done = isDoneStatus(info.status || '');
+    const title = `${info.key}${info.summary ? `: ${info.summary}` : ''}${info.inResults ? '' : ' (not in current results)'}`;
+    let html = `<a href="${escapeHtml(info.link)}" target="_blank" title="${escapeHtml(title)}" style="display:inline-flex;align-items:center;gap:4px;background:${done ? '#f1f5f9' : colors.background};color:${done ? '#6b7280' : colors.color};padding:2px 6px;border-radius:4px;font-size:12px;font-weight:500;text-decoration:${done ? 'line-through' : 'none'};">`;
+    html += `${prefix} ${escapeHtml(info.key)}`;
+    html += info.status
+      ? ` <span style="background:${getStatusColor(info.status)};color:white;padding:0 4px;border-radius:3px;font-size:11px;">${escapeHtml(info.status)}</span>`
+      : ` <span style="font-size:11px;color:#6b7280;">?</span>`;
+    if (!info.inResults) html += ` <span style="font-size:11px;">↗</span>`;
+    html += `</a>`;
+    return html;
+  }
+
+  function blockerBadgesHtml(graph, t) {
+    const blockers = Array.from(graph.blockedBy.get(t.key) || []);
+    if (!blockers.length) return '';
+    return `<div style="display:flex;flex-wrap:wrap;gap:6px;margin:0 0 8px 0;">${blockers.map(key => linkedTicketBadgeHtml(linkedTicketInfo(graph, key), '⛔ blocked by')).join('')}</div>`;
+  }
+
+  // subtasks the query left out are listed on their story, so the story does not look smaller than it is
+  function externalSubtaskBadgesHtml(graph, t) {
+    const external = (t.subtaskKeys || []).filter(key => !(graph.byKey && graph.byKey.has(key)));
+    if (!external.length) return '';
+    return `<div style="display:flex;flex-wrap:wrap;gap:6px;margin:0 0 8px 0;">${external.map(key => linkedTicketBadgeHtml(linkedTicketInfo(graph, key), '🧩 subtask', { background: '#fef3c7', color: '#92400e' })).join('')}</div>`;
+  }
+
+  // export: built from createReportData() output
+  // token-sanitized markup only has well-formed tags (attribute values are escaped), so stripping them is safe
+  function htmlToText(html) {
+    if (!html) return '';
+    const Parser = domParser();
+    const text = Parser ? sanitizeHtmlDocument(html, Parser).body.textContent || '' : decodeHtmlEntities(sanitizeHtmlTokens(html).replace(/<[^>]*>/g, ' '));
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  function ticketsToCSV(tickets) {
+    const hours = seconds => (seconds == null ? '' : Math.round(seconds / 36) / 100);
+    const columns = [
+      ['Key', t => t.key], ['Type', t => t.type], ['Summary', t => t.summary], ['Status', t => t.status],
+      ['Priority', t => t.priority], ['Assignee', t => t.assignee], ['Sprint', t => t.sprint],
+      ['Parent Key', t => t.parentKey || ''], ['Created', t => t.created], ['Updated', t => t.updated],
+      ['Comments', t => (t.comments || []).length], ['Story Points', t => t.storyPoints],
+      ['Original Estimate (h)', t => hours(t.originalEstimate)], ['Remaining Estimate (h)', t => hours(t.remainingEstimate)],
+      ['Time Spent (h)', t => hours(t.timeSpent)], ['Due', t => t.due], ['Epic', t => t.epicKey || ''],
+      ['Blocked By', t => (t.links || []).filter(l => isBlockLink(l) && l.direction === 'inward').map(l => l.key).join(' ')], ['Link', t => t.link]
+    ];
+    const cell = v => {
+      let text = String(v == null ? '' : v);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`; // keep spreadsheets from evaluating ticket text
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [columns.map(([name]) => name)].concat(tickets.map(t => columns.map(([, get]) => get(t))));
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function ticketsToMarkdown({ groupedTickets, stats }) {
+    // ticket text is data, not markup: neutralize inline HTML and markdown emphasis/link syntax
+    const md = v => String(v == null ? '' : v).replace(/\s+/g, ' ').replace(/[\\`*_[\]#|]/g, '\\$&').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const line = t => `**${md(t.key)}** ${md(t.summary)} — _${md(t.status)}_`;
+    const lastComment = t => {
+      const c = (t.comments || [])[(t.comments || []).length - 1];
+      return c ? `💬 ${md(c.author)} (${formatDate(c.created)}): ${md(htmlToText(c.body))}` : '';
+    };
+    const out = [`# JIRA Sprint Report`, '', `_Generated ${new Date().toLocaleString()} — ${stats.totalTickets} tickets, ${stats.userStories} stories, ${stats.tasks} tasks, ${stats.assignees} assignees_`, ''];
+
+    Object.entries(groupedTickets).forEach(([group, bucket]) => {
+      const tasksByParent = (bucket.tasks || []).reduce((acc, t) => {
+        const parent = t.parentKey || 'standalone';
+        (acc[parent] = acc[parent] || []).push(t);
+        return acc;
+      }, {});
+      out.push(`## ${md(group)}`, '');
+      Object.entries(bucket.userStoriesBySprint).forEach(([sprint, stories]) => {
+        out.push(`### ${md(sprint)}`, '');
+        stories.forEach(story => {
+          out.push(`- ${line(story)}`);
+          const comment = lastComment(story);
+          if (comment) out.push(`  - ${comment}`);
+          (tasksByParent[story.key] || []).forEach(task => out.push(`  - ${line(task)}`));
+        });
+        out.push('');
+      });
+      // subtasks whose story is not in this group are reported with the standalone tasks
+      const storyKeys = new Set([].concat(...Object.values(bucket.userStoriesBySprint)).map(t => t.key));
+      const loose = Object.entries(tasksByParent).filter(([parent]) => !storyKeys.has(parent)).reduce((acc, [, tasks]) => acc.concat(tasks), []);
+      if (loose.length) {
+        out.push(`### Standalone Tasks`, '');
+        loose.forEach(task => {
+          out.push(`- ${line(task)}${task.parentKey ? ` (parent ${md(task.parentKey)})` : ''}`);
+          const comment = lastComment(task);
+          if (comment) out.push(`  - ${comment}`);
+        });
+        out.push('');
+      }
+    });
+    return out.join('\n');
+  }
+
+  // render
+  // section ids are derived from ticket keys and group names, so they are stable across renders
+  const sectionId = (...parts) => parts.map(p => String(p).replace(/[^A-Za-z0-9]/g, c => `_${c.charCodeAt(0).toString(16)}`)).join('-');
+
+  function renderStatsHtml(stats) {
+    let html = '';
+    // stats
+    html += `<div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:16px;margin-bottom:24px;">`;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Total Tickets</div><div style="font-weight:600;font-size:18px;">${stats.totalTickets}</div></div><div style="font-size:20px;color:#3b82f6;">🎫</div></div>`;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">User Stories</div><div style="font-weight:600;font-size:18px;">${stats.userStories}</div></div><div style="font-size:20px;color:#10b981;">📖</div></div>`;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Tasks</div><div style="font-weight:600;font-size:18px;">${stats.tasks}</div></div><div style="font-size:20px;color:#f59e0b;">✓</div></div>`;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Assignees</div><div style="font-weight:600;font-size:18px;">${stats.assignees}</div></div><div style="font-size:20px;color:#8b5cf6;">👥</div></div>`;
+    const workload = stats.workload;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Story Points (done / committed)</div><div style="font-weight:600;font-size:18px;">${formatPoints(workload.done)} / ${formatPoints(workload.committed)}</div></div><div style="font-size:20px;color:#0ea5e9;">⭐</div></div>`;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Remaining / Logged</div><div style="font-weight:600;font-size:18px;">${formatDuration(workload.remaining)} / ${formatDuration(workload.spent)}</div></div><div style="font-size:20px;color:#14b8a6;">⏱</div></div>`;
+    html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Overdue</div><div style="font-weight:600;font-size:18px;color:${workload.overdue.length ? '#dc2626' : 'inherit'};">${workload.overdue.length}</div></div><div style="font-size:20px;color:#ef4444;">⏰</div></div>`;
+    html += `</div>`; // stats end
+
+    // sprint totals
+    const sprints = Object.entries(workload.sprints);
+    if (sprints.length) {
+      html += `<div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:16px;margin-bottom:24px;">`;
+      sprints.forEach(([sprint, w]) => {
+        const pct = w.committed ? Math.round((w.done / w.committed) * 100) : 0;
+        html += `<div style="background:#f8fafc;border-left:4px solid #3b82f6;border-radius:8px;padding:12px 16px;">`;
+        html += `<div style="font-weight:700;color:#1d4ed8;font-size:13px;margin-bottom:6px;">${escapeHtml(sprint)}</div>`;
+        html += `<div style="font-size:12px;color:#374151;">⭐ ${formatPoints(w.done)} / ${formatPoints(w.committed)} pts</div>`;
+        html += `<div style="height:6px;background:#e5e7eb;border-radius:999px;margin:6px 0;overflow:hidden;"><div style="height:100%;width:${pct}%;background:#22c55e;"></div></div>`;
+        html += `<div style="font-size:12px;color:#6b7280;">⏱ ${formatDuration(w.remaining)} remaining · ${formatDuration(w.spent)} logged</div>`;
+        html += `</div>`;
+      });
+      html += `</div>`; // sprint totals end
+    }
+    return html;
+  }
+
+  // per-group workload panel shown at the top of the expanded group card
+  function renderWorkloadHtml(workload) {
+    let html = `<div style="margin-bottom:24px;border:1px solid #e5e7eb;border-radius:8px;padding:16px;">`;
+    html += `<div style="display:flex;flex-wrap:wrap;gap:16px;font-size:13px;color:#374151;margin-bottom:12px;"><span><strong>⭐ ${formatPoints(workload.done)} / ${formatPoints(workload.committed)}</strong> pts done</span><span><strong>⏱ ${formatDuration(workload.remaining)}</strong> remaining</span><span><strong>${formatDuration(workload.spent)}</strong> logged</span></div>`;
+    html += `<table style="width:100%;border-collapse:collapse;font-size:12px;color:#374151;">`;
+    html += `<thead><tr style="text-align:left;color:#6b7280;"><th style="padding:4px 8px 4px 0;font-weight:500;">Sprint</th><th style="padding:4px 8px;font-weight:500;">Committed</th><th style="padding:4px 8px;font-weight:500;">Done</th><th style="padding:4px 8px;font-weight:500;">Remaining</th><th style="padding:4px 8px;font-weight:500;">Logged</th></tr></thead><tbody>`;
+    Object.entries(workload.sprints).forEach(([sprint, w]) => {
+      html += `<tr style="border-top:1px solid #f1f5f9;"><td style="padding:4px 8px 4px 0;">${escapeHtml(sprint)}</td><td style="padding:4px 8px;">${formatPoints(w.committed)} pts</td><td style="padding:4px 8px;">${formatPoints(w.done)} pts</td><td style="padding:4px 8px;">${formatDuration(w.remaining)}</td><td style="padding:4px 8px;">${formatDuration(w.spent)}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+    if (workload.overdue.length) {
+      html += `<div style="margin-top:12px;font-size:12px;color:#dc2626;"><strong>⏰ Overdue:</strong> `;
+      html += workload.overdue.map(t => `<a href="${escapeHtml(sanitizeUrl(t.link))}" target="_blank" style="color:#dc2626;">${escapeHtml(t.key)}</a> (due ${escapeHtml(formatDate(t.due))})`).join(', ');
+      html += `</div>`;
+    }
+    html += `</div>`;
+    return html;
+  }
+
+  function groupAvatarHtml(group, by) {
+    const base = 'width:48px;height:48px;border-radius:50%;display:flex;align-items:center;justify-content:center;font-weight:700;flex-shrink:0;';
+    if (by === 'status') return `<div style="${base}background:${getStatusColor(group)};color:white;">●</div>`;
+    if (by === 'priority') return `<div style="${base}background:${getPriorityColor(group)};color:white;">!</div>`;
+    if (by === 'sprint') return `<div style="${base}background:#dbeafe;color:#1d4ed8;">🏃</div>`;
+    if (by === 'parent') return `<div style="${base}background:#ede9fe;color:#6d28d9;">⚡</div>`;
+    return `<div style="${base}background:#dbeafe;color:#1d4ed8;">${escapeHtml(group.split(' ').map(x=>x[0]).join('').slice(0,2).toUpperCase())}</div>`;
+  }
+
+  // graph: buildDependencyGraph() of the full result set; changeBadges: extra badges per ticket
+  function renderKanbanHtml(tickets, { graph = buildDependencyGraph([]), changeBadges = () => '' } = {}) {
+    const columns = orderStatuses(tickets.map(t => t.status || 'Unknown'));
+    let html = `<div style="display:flex;gap:12px;overflow-x:auto;align-items:flex-start;padding-bottom:8px;">`;
+    columns.forEach(status => {
+      const cards = tickets.filter(t => (t.status || 'Unknown') === status);
+      html += `<div style="flex:0 0 260px;background:#f1f5f9;border-radius:8px;border-top:4px solid ${getStatusColor(status)};">`;
+      html += `<div style="padding:12px;display:flex;justify-content:space-between;align-items:center;font-weight:700;font-size:13px;color:#111827;"><span>${escapeHtml(status)}</span><span style="background:${getStatusColor(status)};color:white;border-radius:999px;padding:1px 8px;font-size:12px;">${cards.length}</span></div>`;
+      html += `<div style="padding:0 8px 8px 8px;display:flex;flex-direction:column;gap:8px;">`;
+      cards.forEach(t => {
+        html += `<div data-ticket-card="${escapeHtml(t.key)}" style="background:white;border:1px solid #e5e7eb;border-radius:6px;padding:10px;">`;
+        html += `<div style="display:flex;align-items:center;gap:6px;margin-bottom:6px;flex-wrap:wrap;"><div style="background:${isStory(t) ? '#3b82f6' : '#6b7280'};color:white;padding:1px 6px;border-radius:3px;font-size:11px;font-weight:500;">${isStory(t) ? '📖 STORY' : '✓ TASK'}</div><a href="${escapeHtml(sanitizeUrl(t.link))}" target="_blank" style="font-weight:500;font-size:13px;color:#3b82f6;text-decoration:none;">${escapeHtml(t.key)}</a><div style="background:${getPriorityColor(t.priority)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;">${escapeHtml(t.priority)}</div>${t.storyPoints != null ? `<div style="background:#e0f2fe;color:#0369a1;padding:1px 6px;border-radius:999px;font-size:11px;font-weight:600;">⭐ ${formatPoints(t.storyPoints)}</div>` : ''}</div>`;
+        html += `<div style="font-size:13px;color:#111827;margin-bottom:6px;">${escapeHtml(t.summary)}</div>`;
+        html += changeBadges(t);
+        html += `<div style="font-size:11px;color:#6b7280;display:flex;justify-content:space-between;gap:8px;"><span>${escapeHtml(t.assignee)}</span><span>${escapeHtml(t.sprint)}</span></div>`;
+        if (isOverdue(t)) html += `<div style="font-size:11px;color:#b91c1c;margin-top:4px;">⏰ Overdue (due ${escapeHtml(formatDate(t.due))})</div>`;
+        if (openBlockersOf(graph, t.key).length) html += `<div style="font-size:11px;color:#b91c1c;margin-top:4px;">⛔ Blocked by ${openBlockersOf(graph, t.key).map(escapeHtml).join(', ')}</div>`;
+        html += `</div>`;
+      });
+      html += `</div></div>`;
+    });
+    html += `</div>`;
+    return html;
+  }
+
+  function renderGroupListHtml(grouped, by, { graph = buildDependencyGraph([]), changeBadges = () => '' } = {}) {
+    let html = '';
+    // groups list
+    html += `<div style="display:flex;flex-direction:column;gap:16px;">`;
+
+    Object.entries(grouped).forEach(([group, bucket]) => {
+      const groupId = sectionId('group', by, group);
+      // build tasks by parent for this group; subtasks whose story is not listed here (other
+      // group, filtered out) are shown as standalone so they never silently disappear
+      const storyKeys = new Set([].concat(...Object.values(bucket.userStoriesBySprint)).map(t => t.key));
+      const tasksByParent = (bucket.tasks || []).reduce((acc, t) => {
+        const parent = storyKeys.has(t.parentKey) ? t.parentKey : 'standalone';
+        if (!acc[parent]) acc[parent] = [];
+        acc[parent].push(t);
+        return acc;
+      }, {});
+
+      html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:12px;overflow:hidden;">`;
+      html += `<div style="padding:24px;display:flex;align-items:center;justify-content:space-between;cursor:pointer;" onclick="window.toggleJiraSection('${groupId}')">`;
+      html += `<div style="display:flex;align-items:center;gap:12px;">${groupAvatarHtml(group, by)}<div><div style="font-weight:700;color:#111827;">${escapeHtml(group)}</div><div style="font-size:12px;color:#6b7280;">${Object.values(bucket.userStoriesBySprint).reduce((a,b)=>a+b.length,0)} Stories, ${bucket.tasks.length} Tasks${bucket.raw.some(t => t.storyPoints) ? ` · ${formatPoints(bucket.raw.reduce((n, t) => n + (t.storyPoints || 0), 0))} pts` : ''}</div></div></div>`;
+      html += `<div><button data-toggle="${groupId}" data-collapsed-text="▶" data-expanded-text="▼" style="background:none;border:none;font-size:20px;cursor:pointer;color:#6b7280;padding:8px;border-radius:6px;">▶</button></div>`;
+      html += `</div>`; // group header
+
+      // group content
+      html += `<div id="${groupId}" style="padding:24px;display:none;">`;
+
+      html += renderWorkloadHtml(computeWorkload(bucket.raw));
+
+      // Group user stories by sprint for this group
+      Object.entries(bucket.userStoriesBySprint).forEach(([sprint, stories]) => {
+        html += `<div style=\"margin-bottom:24px;background:#f8fafc;border-radius:8px;border-left:4px solid #3b82f6;padding:16px;\">`;
+        html += `<div style=\"font-weight:700;color:#1d4ed8;font-size:15px;margin-bottom:8px;\">${escapeHtml(sprint)}</div>`;
+        stories.forEach(story => {
+          const storyId = sectionId('story', story.key);
+          const descriptionId = sectionId('description', story.key);
+          const commentsId = sectionId('comments', story.key);
+          const lastComment = (story.comments && story.comments.length) ? story.comments[story.comments.length - 1] : null;
+          const subtaskCount = (tasksByParent[story.key] || []).length;
+
+          html += `<div data-ticket-card=\"${escapeHtml(story.key)}\" style=\"display:flex;gap:16px;align-items:flex-start;margin-bottom:16px;\">`;
+
+          // story box (left)
+          html += `<div style=\"flex:2;border-left:4px solid #3b82f6;background:#f8fafc;border-radius:0 8px 8px 0;\">`;
+          html += `<div style=\"padding:16px;\">`;
+          html += `<div style=\"display:flex;align-items:center;justify-content:space-between;margin-bottom:12px;\">`;
+          html += `<div style=\"display:flex;align-items:center;gap:12px;flex-wrap:wrap;\">`;
+          html += `<div style=\"background:#3b82f6;color:white;padding:4px 8px;border-radius:4px;font-size:12px;font-weight:500;\">📖 STORY</div>`;
+          html += `<a href=\"${escapeHtml(sanitizeUrl(story.link))}\" target=\"_blank\" style=\"font-weight:500;color:#3b82f6;text-decoration:none;\">${escapeHtml(story.key)}</a>`;
+          if (subtaskCount) html += `<div title=\"${subtaskCount} subtasks\" style=\"background:#fde68a;color:#92400e;padding:2px 6px;border-radius:999px;font-size:12px;margin-left:8px;font-weight:600;\">🧩 ${subtaskCount}</div>`;
+          html += `<div style=\"background:${getStatusColor(story.status)};color:white;padding:2px 6px;border-radius:4px;font-size:12px;\">${escapeHtml(story.status)}</div>`;
+          html += `<div style=\"background:${getPriorityColor(story.priority)};color:white;padding:2px 6px;border-radius:4px;font-size:12px;\">${escapeHtml(story.priority)}</div>`;
+          if (story.storyPoints !== null && story.storyPoints !== undefined) html += `<div title=\"Story points\" style=\"background:#e0f2fe;color:#0369a1;padding:2px 6px;border-radius:999px;font-size:12px;font-weight:600;\">⭐ ${formatPoints(story.storyPoints)}</div>`;
+          if (isOverdue(story)) html += `<div title=\"Due ${escapeHtml(formatDate(story.due))}\" style=\"background:#fee2e2;color:#b91c1c;padding:2px 6px;border-radius:4px;font-size:12px;font-weight:600;\">⏰ Overdue</div>`;
+          if (lastComment) html += `<div style=\"font-size:12px;color:#6b7280;margin-left:8px;\">💬 Last: ${escapeHtml(formatDate(lastComment.created))}</div>`;
+          html += `</div>`;
+          if (tasksByParent[story.key]) {
+            html += `<div><button data-toggle=\"${storyId}\" data-collapsed-text=\"▶\" data-expanded-text=\"▼\" onclick=\"window.toggleJiraSection('${storyId}')\" style=\"background:none;border:none;font-size:16px;cursor:pointer;color:#6b7280;padding:4px;\">▶</button></div>`;
+          } else {
+            html += `<div style=\"width:28px\"></div>`;
+          }
+          html += `</div>`;
+          html += `<h4 style=\"margin:0 0 8px 0;font-weight:500;color:#111827;\">${escapeHtml(story.summary)}</h4>`;
+          html += blockerBadgesHtml(graph, story);
+          html += externalSubtaskBadgesHtml(graph, story);
+          html += changeBadges(story);
+          if (story.description) {
+            html += `<div>`;
+            html += `<button data-toggle=\"${descriptionId}\" data-collapsed-text=\"📝 View Description ▶\" data-expanded-text=\"📝 Hide Description ▼\" onclick=\"window.toggleJiraSection('${descriptionId}')\" style=\"background:none;border:none;color:#3b82f6;cursor:pointer;margin-bottom:8px;\">📝 View Description ▶</button>`;
+            html += `<div id=\"${descriptionId}\" style=\"display:none;margin:8px 0 12px 0;\"><div class=\"jira-description\" style=\"padding:8px;background:#ffffff;border-radius:6px;border:1px solid #e5e7eb;color:#6b7280;\">${sanitizeHtml(story.description)}</div></div>`;
+            html += `</div>`;
+          }
+          if (tasksByParent[story.key]) {
+            html += `<div id=\"${storyId}\" style=\"display:none;margin-top:16px;\">`;
+            html += `<h5 style=\"margin:0 0 8px 0;font-size:12px;font-weight:500;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;\">Related Tasks</h5>`;
+            tasksByParent[story.key].forEach(task => {
+              html += `<div style=\"background:white;border:1px solid #e5e7eb;border-radius:6px;padding:12px;margin-bottom:8px;\">`;
+              html += `<div style=\"display:flex;align-items:center;gap:8px;margin-bottom:6px;\"><div style=\"background:#6b7280;color:white;padding:2px 6px;border-radius:3px;font-size:11px;font-weight:500;\">✓ TASK</div><a href=\"${escapeHtml(sanitizeUrl(task.link))}\" target=\"_blank\" style=\"font-weight:500;font-size:14px;color:#6b7280;text-decoration:none;\">${escapeHtml(task.key)}</a><div style=\"background:${getStatusColor(task.status)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:6px;\">${escapeHtml(task.status)}</div><div style=\"background:${getPriorityColor(task.priority)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:4px;\">${escapeHtml(task.priority)}</div></div>`;
+              html += `<div style=\"font-weight:500;font-size:14px;color:#111827;margin-bottom:6px;\">${escapeHtml(task.summary)}</div>`;
+              html += changeBadges(task);
+              if (task.description) html += `<div class=\"jira-description\" style=\"font-size:13px;color:#6b7280;line-height:1.4;margin-bottom:8px;\">${sanitizeHtml(task.description)}</div>`;
+              html += `<div style=\"display:flex;gap:12px;font-size:11px;color:#6b7280;\"><span><strong>Created:</strong> ${escapeHtml(formatDate(task.created))}</span><span><strong>Updated:</strong> ${escapeHtml(formatDate(task.updated))}</span></div>`;
+              html += `</div>`;
+            });
+            html += `</div>`;
+          }
+          html += `</div></div>`;
+          html += `<div style=\"flex:1;min-width:220px;max-width:350px;background:#f1f5f9;border-radius:8px;padding:16px;box-sizing:border-box;\">`;
+          if (story.comments && story.comments.length) {
+            html += `<button data-toggle=\"${commentsId}\" data-collapsed-text=\"💬 ${story.comments.length} Comment${story.comments.length>1? 's':''} ▶\" data-expanded-text=\"💬 Hide Comments ▼\" onclick=\"window.toggleJiraSection('${commentsId}')\" style=\"background:none;border:none;font-size:14px;cursor:pointer;color:#3b82f6;margin-bottom:8px;\">💬 ${story.comments.length} Comment${story.comments.length>1? 's':''} ▶</button>`;
+            html += `<div id=\"${commentsId}\" style=\"display:none;margin:8px 0 0 0;\">`;
+            story.comments.forEach(c => {
+              html += `<div style=\"margin-bottom:10px;border-bottom:1px solid #e5e7eb;padding-bottom:8px;\"><div style=\"font-size:12px;color:#6b7280;margin-bottom:2px;\"><strong>${escapeHtml(c.author)}</strong> <span style=\"font-size:11px;color:#94a3b8;\">${escapeHtml(formatDate(c.created))}</span></div><div style=\"font-size:13px;color:#111827;\">${sanitizeHtml(c.body)}</div></div>`;
+            });
+            html += `</div>`;
+          } else {
+            html += `<div style=\"color:#94a3b8;font-size:13px;\">No comments</div>`;
+          }
+          html += `</div>`;
+          html += `</div>`;
+        });
+        html += `</div>`;
+      });
+
+      // standalone tasks
+      if (tasksByParent.standalone) {
+        html += `<div><h5 style=\"margin:0 0 12px 0;font-size:12px;font-weight:500;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;\">Standalone Tasks</h5>`;
+        tasksByParent.standalone.forEach(task => {
+          html += `<div data-ticket-card=\"${escapeHtml(task.key)}\" style=\"background:white;border:1px solid #e5e7eb;border-radius:6px;padding:12px;margin-bottom:8px;\"><div style=\"display:flex;align-items:center;gap:8px;margin-bottom:6px;\"><div style=\"background:#6b7280;color:white;padding:2px 6px;border-radius:3px;font-size:11px;font-weight:500;\">✓ TASK</div><a href=\"${escapeHtml(sanitizeUrl(task.link))}\" target=\"_blank\" style=\"font-weight:500;font-size:14px;color:#6b7280;text-decoration:none;\">${escapeHtml(task.key)}</a><div style=\"background:${getStatusColor(task.status)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:6px;\">${escapeHtml(task.status)}</div><div style=\"background:${getPriorityColor(task.priority)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:4px;\">${escapeHtml(task.priority)}</div></div><div style=\"font-weight:500;font-size:14px;color:#111827;margin-bottom:6px;\">${escapeHtml(task.summary)}</div>${changeBadges(task)}${task.description?`<div class=\\\"jira-description\\\" style=\\\"font-size:13px;color:#6b7280;line-height:1.4;margin-bottom:8px;\\\">${sanitizeHtml(task.description)}</div>`:''}<div style=\"display:flex;gap:12px;font-size:11px;color:#6b7280;\"><span><strong>Created:</strong> ${escapeHtml(formatDate(task.created))}</span><span><strong>Updated:</strong> ${escapeHtml(formatDate(task.updated))}</span></div></div>`;
+        });
+        html += `</div>`;
+      }
+
+      html += `</div>`; // group content end
+      html += `</div>`; // group card end
+    });
+
+    html += `</div>`; // groups list
+    return html;
+  }
+
+  // the popup's toggle, minus the bookkeeping that keeps sections expanded across refreshes
+  const REPORT_SCRIPT = `window.toggleJiraSection = function(id) {
+  var el = document.getElementById(id);
+  var btn = document.querySelector('[data-toggle="' + id + '"]');
+  if (!el) return;
+  var expand = el.style.display === 'none';
+  el.style.display = expand ? 'block' : 'none';
+  if (btn) btn.textContent = btn.getAttribute(expand ? 'data-expanded-text' : 'data-collapsed-text');
+};`;
+
+  // standalone page with the popup's look, e.g. for CI jobs publishing sprint reports (bin/jira-report.js)
+  function renderReportHtml(data, { title = 'JIRA Sprint Report', view = data.groupBy, generatedAt = new Date() } = {}) {
+    const options = { graph: buildDependencyGraph(data.tickets) };
+    let html = '';
+    html += `<!doctype html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<meta name="viewport" content="width=device-width,initial-scale=1">\n<title>${escapeHtml(title)}</title>\n</head>\n`;
+    html += `<body style="margin:0;background:#f1f5f9;font-family:system-ui,Segoe UI,Roboto,sans-serif;">\n`;
+    html += `<div style="background:white;border-radius:12px;width:90%;max-width:1200px;margin:24px auto;box-shadow:0 25px 50px -12px rgba(0,0,0,0.25);">`;
+
+    // header
+    html += `<div style="padding:16px 24px;border-bottom:1px solid #e5e7eb;display:flex;align-items:center;gap:12px;"><div style="width:32px;height:32px;background:#3b82f6;border-radius:8px;display:flex;align-items:center;justify-content:center;color:white;font-weight:bold;">J</div><div><h1 style="margin:0;font-size:16px;">${escapeHtml(title)}</h1><div style="font-size:12px;color:#6b7280;">Generated ${escapeHtml(generatedAt.toLocaleString())} · ${data.stats.totalTickets} tickets</div></div></div>`;
+
+    html += `<div style="padding:24px;">`;
+    html += renderStatsHtml(data.stats);
+    html += view === 'kanban' ? renderKanbanHtml(data.tickets, options) : renderGroupListHtml(data.groupedTickets, data.groupBy, options);
+    html += `</div>`; // padding
+    html += `</div>\n`; // page
+    html += `<script>\n${REPORT_SCRIPT}\n</script>\n</body>\n</html>\n`;
+    return html;
+  }
+
+  return {
+    parseXml, parseJiraXML, parseJiraPage, parseJiraDocument, parseJiraRestSearch, fetchAllPages,
+    formatDate, escapeHtml, sanitizeUrl, sanitizeHtml, htmlToText, getStatusColor, getPriorityColor,
+    isDoneStatus, isOverdue, formatDuration, formatPoints, computeWorkload,
+    isStory, GROUPINGS, groupTickets, orderStatuses, computeStats, createReportData,
+    isBlockLink, browseUrl, buildDependencyGraph, linkedTicketInfo, openBlockersOf, linkedTicketBadgeHtml, blockerBadgesHtml, externalSubtaskBadgesHtml,
+    ticketsToCSV, ticketsToMarkdown, sectionId, renderStatsHtml, renderWorkloadHtml, renderKanbanHtml, renderGroupListHtml, renderReportHtml
+  };
+}
+
+if (typeof module === 'object' && module.exports) module.exports = { createJiraCore };
+
+// the dashboard itself needs a browser; Node only uses the core above
+if (typeof window !== 'undefined') window.createJiraDashboard = function(config) {
   const { JIRA_URL, BEARER_TOKEN } = config;
 
   (function() {
     // state
     let currentData = { tickets: [], groupedTickets: {}, stats: {} };
+    let allTickets = [];
+    let searchIndex = new Map();
+    let dependencyGraph = { blockedBy: new Map(), blocks: new Map(), linked: new Map() };
+    let previousSnapshots = [];
+    let snapshotDiff = null;
 
     // fetch
-    async function fetchJiraData() {
-      const response = await fetch(JIRA_URL, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${BEARER_TOKEN}`,
-          'Accept': 'application/xml'
-        }
-      });
+    // Results are paged: SearchRequest.xml caps each response at tempMax (usually 1000) and is paged
+    // with pager/start, the REST search API uses startAt/maxResults. The first page tells us the total,
+    // the rest are fetched in parallel. Both sources return tickets in the same normalized shape.
+    const requestedUrl = new URL(JIRA_URL, window.location.href);
+    const PAGE_SIZE = Math.max(1, Number(config.PAGE_SIZE) || Number(requestedUrl.searchParams.get('tempMax')) || 1000);
+    const MAX_CONCURRENT_REQUESTS = Math.max(1, Number(config.MAX_CONCURRENT_REQUESTS) || 3);
+    // instance root, including any context path (e.g. https://host/jira)
+    const JIRA_BASE_URL = (config.BASE_URL || requestedUrl.href.replace(/\/(sr|rest|issues|browse)\/.*$/, '')).replace(/\/+$/, '');
+    const JQL = config.JQL || requestedUrl.searchParams.get('jqlQuery') || requestedUrl.searchParams.get('jql') || '';
+
+    // parsing, grouping, exports and ticket markup are shared with the Node CLI
+    const core = createJiraCore(Object.assign({}, config, { BASE_URL: JIRA_BASE_URL }));
+    const {
+      parseJiraPage, parseJiraRestSearch, fetchAllPages, formatDate, escapeHtml, sanitizeUrl, htmlToText,
+      isDoneStatus, GROUPINGS, createReportData, browseUrl, buildDependencyGraph, linkedTicketBadgeHtml,
+      ticketsToCSV, ticketsToMarkdown, renderStatsHtml, renderKanbanHtml, renderGroupListHtml
+    } = core;
+
+    // invalid settings end up on the error screen (see run) rather than throwing before any popup is shown
+    const configErrors = [];
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const xmlText = await response.text();
-      return parseJiraXML(xmlText);
+    // auth: 'bearer' sends a personal access token (Server/DC), 'basic' an account email plus API token
+    // (Cloud) and 'cookie' no header at all, relying on the browser's JIRA session (same origin only)
+    const AUTH_MODES = ['bearer', 'basic', 'cookie'];
+    const AUTH = String(config.AUTH || 'bearer').toLowerCase();
+    if (!AUTH_MODES.includes(AUTH)) configErrors.push(`Unknown auth mode "${config.AUTH}" (expected one of: ${AUTH_MODES.join(', ')}).`);
+    const TOKEN_STORAGE_KEY = config.TOKEN_STORAGE_KEY || 'authToken';
+    // both can be replaced from the error screen when JIRA rejects them
+    let authToken = (AUTH === 'basic' && config.API_TOKEN) || BEARER_TOKEN || '';
+    let authEmail = config.EMAIL || '';
+
+    function authRequestOptions() {
+      if (AUTH === 'cookie') return { headers: {}, credentials: 'include' };
+      if (AUTH === 'basic') {
+        // btoa only takes Latin-1, so encode as UTF-8 first
+        const credentials = String.fromCharCode(...new TextEncoder().encode(`${authEmail}:${authToken}`));
+        return { headers: { 'Authorization': `Basic ${btoa(credentials)}` } };
+      }
+      return { headers: { 'Authorization': `Bearer ${authToken}` } };
     }
 
-    // parse
-    function parseJiraXML(xmlText) {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-      const tickets = [];
-      const items = xmlDoc.querySelectorAll('item');
+    // failures carry a kind for the error screen: 'auth' (401/403), 'http' (any other status), 'network'
+    // (offline, DNS, CORS), 'response' (not the format we asked for), 'parse' (malformed XML/JSON) and
+    // 'config' (invalid settings, nothing was fetched)
+    const fetchError = (kind, message, details = {}) => Object.assign(new Error(message), { kind }, details);
 
-      items.forEach(item => {
-        try {
-          const descriptionElement = item.querySelector('description');
-          let description = '';
-          if (descriptionElement) {
-            description = (descriptionElement.textContent || '')
-              .replace(/&lt;/g, '<')
-              .replace(/&gt;/g, '>')
-              .replace(/&amp;/g, '&')
-              .replace(/&quot;/g, '"')
-              .trim();
-          }
+    async function fetchJiraResource(url, accept, signal) {
+      const auth = authRequestOptions();
+      let response;
+      try {
+        response = await fetch(url.toString(), {
+          method: 'GET',
+          headers: Object.assign({ 'Accept': accept }, auth.headers),
+          credentials: auth.credentials,
+          signal
+        });
+      } catch (err) {
+        if (err && err.name === 'AbortError') throw err;
+        // the browser does not say why: a CORS rejection looks exactly like being offline
+        throw fetchError('network', `Could not reach ${url.origin} (${err && err.message ? err.message : err})`, { url: url.toString() });
+      }
 
-          // comments
-          const commentsNode = item.querySelector('comments');
-          let comments = [];
-          if (commentsNode) {
-            comments = Array.from(commentsNode.querySelectorAll('comment')).map(c => ({
-              id: c.getAttribute('id') || null,
-              author: c.getAttribute('author') || c.getAttribute('username') || 'Unknown',
-              created: c.getAttribute('created') || null,
-              body: (c.textContent || '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').replace(/&quot;/g, '"').trim()
-            }));
-          }
+      const failure = `HTTP ${response.status}: ${response.statusText}`;
+      if (response.status === 401 || response.status === 403) throw fetchError('auth', failure, { status: response.status, url: url.toString() });
+      if (!response.ok) throw fetchError('http', failure, { status: response.status, url: url.toString() });
+      return response;
+    }
 
-          // Parse Sprint from customfields
-          let sprint = 'No Sprint';
-          const customfields = item.querySelectorAll('customfield');
-          customfields.forEach(cf => {
-            const name = cf.querySelector('customfieldname')?.textContent || '';
-            if (name === 'Sprint') {
-              const val = cf.querySelector('customfieldvalue')?.textContent;
-              if (val) sprint = val;
-            }
-          });
+    // an expired session often gets a 200 with JIRA's HTML login page instead of the data
+    async function readResponseText(response, expected) {
+      const text = await response.text();
+      const contentType = response.headers.get('content-type') || '';
+      const looksRight = expected === 'json'
+        ? /^\s*[{[]/.test(text)
+        : /^\s*</.test(text) && !/^\s*<(!doctype\s+)?html[\s>]/i.test(text);
+      if (/html/i.test(contentType) || !looksRight) {
+        throw fetchError('response', `Expected ${expected.toUpperCase()}, got ${contentType || 'a response without a content type'}`, { preview: text.slice(0, 300) });
+      }
+      return text;
+    }
 
-          const ticket = {
-            id: item.querySelector('guid')?.textContent || item.querySelector('link')?.textContent || '',
-            key: item.querySelector('key')?.textContent || (item.querySelector('title')?.textContent || '').split(':')[0] || '',
-            summary: item.querySelector('summary')?.textContent || item.querySelector('title')?.textContent?.replace(/^[^:]*:\s*/, '') || '',
-            description,
-            type: item.querySelector('type')?.textContent || 'Task',
-            status: item.querySelector('status')?.textContent || 'Unknown',
-            assignee: item.querySelector('assignee')?.textContent || item.querySelector('reporter')?.textContent || 'Unassigned',
-            priority: item.querySelector('priority')?.textContent || 'Medium',
-            updated: item.querySelector('updated')?.textContent || item.querySelector('pubDate')?.textContent || new Date().toISOString(),
-            created: item.querySelector('created')?.textContent || item.querySelector('pubDate')?.textContent || new Date().toISOString(),
-            parentKey: item.querySelector('parent')?.textContent || undefined,
-            link: item.querySelector('link')?.textContent || '',
-            comments,
-            sprint
+    const dataSources = {
+      // legacy issue view: /sr/jira.issueviews:searchrequest-xml/temp/SearchRequest.xml
+      xml: {
+        async fetchPage(start, signal) {
+          const url = new URL(requestedUrl);
+          url.searchParams.set('tempMax', PAGE_SIZE);
+          url.searchParams.set('pager/start', start);
+          const response = await fetchJiraResource(url, 'application/xml', signal);
+          const { tickets, total, pageSize } = parseJiraPage(await readResponseText(response, 'xml'));
+          // JIRA caps tempMax (jira.search.views.default.max): page by what it used, not by what we asked for
+          return { tickets, total, pageSize: pageSize || PAGE_SIZE };
+        }
+      },
+      // REST search API: /rest/api/2/search
+      rest: {
+        async fetchPage(start, signal) {
+          const url = new URL(`${JIRA_BASE_URL}/rest/api/2/search`);
+          url.searchParams.set('jql', JQL);
+          url.searchParams.set('startAt', start);
+          url.searchParams.set('maxResults', PAGE_SIZE);
+          url.searchParams.set('fields', '*all');
+          url.searchParams.set('expand', 'renderedFields,names');
+          const response = await fetchJiraResource(url, 'application/json', signal);
+          const text = await readResponseText(response, 'json');
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (err) {
+            throw fetchError('parse', `Malformed JSON: ${err.message}`);
+          }
+          return {
+            tickets: parseJiraRestSearch(data),
+            total: Number.isFinite(data.total) ? data.total : null,
+            // the server may cap maxResults below what we asked for
+            pageSize: Math.max(1, Number(data.maxResults) || PAGE_SIZE)
           };
+        }
+      }
+    };
 
-          if (ticket.key) tickets.push(ticket);
-        } catch (e) {
-          console.warn('Failed to parse ticket', e);
+    const dataSource = dataSources[config.source || 'xml'];
+    if (!dataSource) configErrors.push(`Unknown JIRA data source "${config.source}" (expected one of: ${Object.keys(dataSources).join(', ')}).`);
+    const fetchJiraPage = (start, signal) => dataSource.fetchPage(start, signal);
+
+    const fetchJiraData = ({ signal, onProgress } = {}) => fetchAllPages(fetchJiraPage, { signal, onProgress, maxConcurrent: MAX_CONCURRENT_REQUESTS });
+
+    // dependencies: the graph covers the full result set, not just the filtered view
+    const linkedTicketInfo = key => core.linkedTicketInfo(dependencyGraph, key);
+    const openBlockersOf = key => core.openBlockersOf(dependencyGraph, key);
+
+    // blocked chains: each visible ticket with open blockers that is not itself holding up another
+    // visible blocked ticket is a chain end; its blockers are walked upwards from there
+    function renderDependenciesHtml(tickets) {
+      const visible = new Set(tickets.map(t => t.key));
+      const blocked = tickets.filter(t => openBlockersOf(t.key).length);
+      const chainEnds = blocked.filter(t => !Array.from(dependencyGraph.blocks.get(t.key) || []).some(k => visible.has(k) && openBlockersOf(k).includes(t.key)));
+      const external = new Set();
+      blocked.forEach(t => openBlockersOf(t.key).forEach(k => { if (!dependencyGraph.byKey.has(k)) external.add(k); }));
+
+      const node = (key, path) => {
+        const info = linkedTicketInfo(key);
+        const open = !isDoneStatus(info.status || '');
+        let html = `<div style="border-left:3px solid ${open ? '#ef4444' : '#e5e7eb'};padding:6px 0 6px 10px;margin-left:${path.length ? 16 : 0}px;">`;
+        html += `<div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap;font-size:13px;">`;
+        html += linkedTicketBadgeHtml(info, path.length ? '⛔' : '🎯');
+        html += `<span style="color:#111827;">${escapeHtml(info.summary || '')}</span>`;
+        if (!info.inResults) html += `<span style="font-size:11px;color:#6b7280;">outside current results</span>`;
+        html += `</div>`;
+        if (path.includes(key)) {
+          html += `<div style="font-size:12px;color:#b91c1c;margin-left:16px;">↺ circular dependency</div>`;
+        } else {
+          Array.from(dependencyGraph.blockedBy.get(key) || []).forEach(k => { html += node(k, path.concat(key)); });
         }
+        html += `</div>`;
+        return html;
+      };
+
+      let html = `<div style="display:flex;gap:16px;flex-wrap:wrap;font-size:13px;color:#374151;margin-bottom:16px;"><span><strong>${blocked.length}</strong> blocked tickets</span><span><strong>${chainEnds.length}</strong> blocked chains</span><span><strong>${external.size}</strong> open blockers outside current results</span></div>`;
+      if (!chainEnds.length) return html + `<div style="color:#94a3b8;font-size:13px;">Nothing is blocked 🎉</div>`;
+      html += `<div style="display:flex;flex-direction:column;gap:12px;">`;
+      chainEnds.forEach(t => {
+        html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:12px;">${node(t.key, [])}</div>`;
       });
+      html += `</div>`;
+      return html;
+    }
 
-      return tickets;
+    // view: one of the GROUPINGS, 'kanban' or 'dependencies'; remembered across runs
+    const VIEW_STORAGE_KEY = 'jira-dashboard-view';
+    const VIEWS = Object.entries(GROUPINGS).map(([id, g]) => [id, `By ${g.label.toLowerCase()}`]).concat([['kanban', 'Kanban board'], ['dependencies', 'Dependencies']]);
+    let currentView = (() => {
+      try {
+        const saved = localStorage.getItem(VIEW_STORAGE_KEY);
+        return VIEWS.some(([id]) => id === saved) ? saved : 'assignee';
+      } catch (e) {
+        return 'assignee';
+      }
+    })();
+
+    function setView(view) {
+      currentView = view;
+      try { localStorage.setItem(VIEW_STORAGE_KEY, view); } catch (e) { /* view just isn't remembered */ }
+      applyFilters();
     }
 
-    // helpers
-    function formatDate(dateString) {
-      if (!dateString) return '';
+    // filters: state is kept per JQL in localStorage so reopening the same search restores the view
+    const FILTER_FIELDS = [
+      ['status', 'Status'], ['priority', 'Priority'], ['type', 'Type'], ['sprint', 'Sprint'], ['assignee', 'Assignee']
+    ];
+    const FILTER_STORAGE_KEY = `jira-dashboard-filters:${JQL || requestedUrl.href}`;
+    const emptyFilterState = () => FILTER_FIELDS.reduce((acc, [field]) => { acc[field] = []; return acc; }, { text: '', commentsSince: '' });
+
+    function loadFilterState() {
       try {
-        const d = new Date(dateString);
-        return d.toLocaleString();
+        const saved = JSON.parse(localStorage.getItem(FILTER_STORAGE_KEY) || 'null');
+        return Object.assign(emptyFilterState(), saved && typeof saved === 'object' ? saved : {});
       } catch (e) {
-        return dateString;
+        return emptyFilterState();
       }
     }
 
-    const getStatusColor = (s = '') => {
-      const status = s.toLowerCase();
-      if (status.includes('done') || status.includes('closed')) return '#22c55e';
-      if (status.includes('progress')) return '#3b82f6';
-      if (status.includes('todo') || status.includes('to do')) return '#f59e0b';
-      if (status.includes('blocked')) return '#ef4444';
-      return '#6b7280';
-    };
+    function saveFilterState(state) {
+      try {
+        localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(state));
+      } catch (e) {
+        console.warn('Failed to save dashboard filters', e);
+      }
+    }
 
-    const getPriorityColor = (p = '') => {
-      const priority = p.toLowerCase();
-      if (priority.includes('highest') || priority.includes('critical')) return '#dc2626';
-      if (priority.includes('high')) return '#ea580c';
-      if (priority.includes('medium')) return '#ca8a04';
-      if (priority.includes('low')) return '#16a34a';
-      return '#6b7280';
-    };
+    let filterState = loadFilterState();
 
-    function groupTicketsByAssignee(tickets) {
-      // For each assignee, group userStories by sprint
-      return tickets.reduce((acc, t) => {
-        const assignee = t.assignee || 'Unassigned';
-        if (!acc[assignee]) acc[assignee] = { userStoriesBySprint: {}, tasks: [], raw: [] };
-        acc[assignee].raw.push(t);
-        if ((t.type || '').toLowerCase().includes('story')) {
-          const sprint = t.sprint || 'No Sprint';
-          if (!acc[assignee].userStoriesBySprint[sprint]) acc[assignee].userStoriesBySprint[sprint] = [];
-          acc[assignee].userStoriesBySprint[sprint].push(t);
-        } else {
-          acc[assignee].tasks.push(t);
+    function ticketSearchText(t) {
+      return [t.key, t.summary, htmlToText(t.description)]
+        .concat((t.comments || []).map(c => htmlToText(c.body)))
+        .join('\n')
+        .toLowerCase();
+    }
+
+    function ticketMatchesFilters(t, state) {
+      const text = (state.text || '').trim().toLowerCase();
+      if (text && !(searchIndex.get(t) || ticketSearchText(t)).includes(text)) return false;
+      const failsField = FILTER_FIELDS.some(([field]) => {
+        const selected = state[field] || [];
+        return selected.length && !selected.includes(t[field]);
+      });
+      if (failsField) return false;
+      if (state.commentsSince) {
+        const since = new Date(`${state.commentsSince}T00:00:00`).getTime();
+        if (!(t.comments || []).some(c => new Date(c.created).getTime() >= since)) return false;
+      }
+      return true;
+    }
+
+    function renderFilterToolbarHtml(tickets) {
+      const control = 'border:1px solid #e5e7eb;border-radius:6px;padding:6px 10px;font-size:13px;color:#374151;background:white;';
+      let html = `<div id="jira-dashboard-filters" style="display:flex;flex-wrap:wrap;align-items:center;gap:8px;margin-bottom:24px;">`;
+      html += `<input type="search" data-filter-text placeholder="Search key, summary, description, comments…" value="${escapeHtml(filterState.text)}" style="${control}flex:1;min-width:220px;">`;
+      FILTER_FIELDS.forEach(([field, label]) => {
+        const selected = filterState[field] || [];
+        // keep saved selections visible even when no ticket currently has that value
+        const values = Array.from(new Set(tickets.map(t => t[field]).filter(Boolean).concat(selected))).sort();
+        html += `<details data-filter-field="${field}" style="position:relative;">`;
+        html += `<summary style="${control}cursor:pointer;list-style:none;">${label}<span data-filter-count>${selected.length ? ` (${selected.length})` : ''}</span> ▾</summary>`;
+        html += `<div style="position:absolute;top:calc(100% + 4px);left:0;background:white;border:1px solid #e5e7eb;border-radius:8px;box-shadow:0 10px 15px -3px rgba(0,0,0,0.1);padding:8px;min-width:180px;max-height:260px;overflow-y:auto;z-index:3;">`;
+        values.forEach(value => {
+          html += `<label style="display:flex;align-items:center;gap:6px;padding:3px 0;font-size:13px;color:#111827;white-space:nowrap;cursor:pointer;"><input type="checkbox" value="${escapeHtml(value)}"${selected.includes(value) ? ' checked' : ''}>${escapeHtml(value)}</label>`;
+        });
+        html += `</div></details>`;
+      });
+      html += `<label style="display:flex;align-items:center;gap:6px;font-size:13px;color:#6b7280;">Comments since <input type="date" data-filter-comments-since value="${escapeHtml(filterState.commentsSince)}" style="${control}"></label>`;
+      html += `<button data-filter-clear style="${control}cursor:pointer;">Clear</button>`;
+      html += `<span id="jira-dashboard-filter-count" style="font-size:12px;color:#6b7280;margin-left:auto;"></span>`;
+      html += `</div>`;
+      return html;
+    }
+
+    function bindFilterToolbar(toolbar) {
+      const readState = () => {
+        const state = emptyFilterState();
+        state.text = toolbar.querySelector('[data-filter-text]').value;
+        state.commentsSince = toolbar.querySelector('[data-filter-comments-since]').value;
+        toolbar.querySelectorAll('[data-filter-field]').forEach(details => {
+          const field = details.getAttribute('data-filter-field');
+          state[field] = Array.from(details.querySelectorAll('input:checked')).map(i => i.value);
+          details.querySelector('[data-filter-count]').textContent = state[field].length ? ` (${state[field].length})` : '';
+        });
+        return state;
+      };
+      const update = () => {
+        filterState = readState();
+        saveFilterState(filterState);
+        applyFilters();
+      };
+      toolbar.addEventListener('input', update);
+      toolbar.querySelector('[data-filter-clear]').addEventListener('click', () => {
+        toolbar.querySelector('[data-filter-text]').value = '';
+        toolbar.querySelector('[data-filter-comments-since]').value = '';
+        toolbar.querySelectorAll('[data-filter-field] input').forEach(i => { i.checked = false; });
+        update();
+      });
+      // only one dropdown open at a time
+      toolbar.querySelectorAll('[data-filter-field]').forEach(details => details.addEventListener('toggle', () => {
+        if (details.open) toolbar.querySelectorAll('[data-filter-field]').forEach(other => { if (other !== details) other.open = false; });
+      }));
+    }
+
+    // snapshots: a slim copy of each run is kept per JQL so the next run can show what changed. A run
+    // (one opened dashboard) stores one snapshot and its refreshes replace it, so auto-refresh cannot push
+    // earlier runs, and with them the baseline being compared against, out of storage.
+    const SNAPSHOT_STORAGE_KEY = `jira-dashboard-snapshots:${JQL || requestedUrl.href}`;
+    const MAX_SNAPSHOTS = Math.max(1, Number(config.MAX_SNAPSHOTS) || 10);
+    const SNAPSHOT_FIELDS = [['status', 'Status'], ['assignee', 'Assignee'], ['sprint', 'Sprint']];
+    const commentIdsOf = t => (t.comments || []).map(c => c.id || c.created || '');
+
+    function loadSnapshots() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(SNAPSHOT_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    function takeSnapshot(tickets) {
+      return {
+        takenAt: new Date().toISOString(),
+        tickets: tickets.map(t => ({ key: t.key, summary: t.summary, status: t.status, assignee: t.assignee, sprint: t.sprint, link: t.link, commentIds: commentIdsOf(t) }))
+      };
+    }
+
+    let runSnapshotAt = null; // takenAt of the snapshot this run stored, if any
+    let runStartSnapshot = null; // this run's first snapshot, kept in memory
+
+    // stores (or replaces) this run's snapshot unless nothing changed since the latest earlier run; when
+    // over MAX_SNAPSHOTS or the storage quota the oldest go first, but the baseline `keepTakenAt` goes last
+    function saveSnapshot(snapshot, keepTakenAt) {
+      const earlier = loadSnapshots().filter(snap => snap.takenAt !== runSnapshotAt);
+      const latest = earlier[earlier.length - 1];
+      const changed = !latest || diffSnapshot(latest, snapshot.tickets).hasChanges;
+      if (!changed && !runSnapshotAt) return;
+      const dropOldest = list => {
+        const i = Math.max(0, list.findIndex(snap => snap.takenAt !== keepTakenAt));
+        return list.slice(0, i).concat(list.slice(i + 1));
+      };
+      let snapshots = changed ? earlier.concat([snapshot]) : earlier;
+      while (snapshots.length > MAX_SNAPSHOTS) snapshots = dropOldest(snapshots);
+      while (snapshots.length) {
+        try {
+          localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshots));
+          runSnapshotAt = snapshots.includes(snapshot) ? snapshot.takenAt : null;
+          return;
+        } catch (e) {
+          snapshots = dropOldest(snapshots);
         }
-        return acc;
-      }, {});
+      }
+      console.warn('Could not store dashboard snapshot');
+    }
+
+    function diffSnapshot(snapshot, tickets) {
+      const before = new Map(snapshot.tickets.map(t => [t.key, t]));
+      const now = new Set(tickets.map(t => t.key));
+      const diff = { takenAt: snapshot.takenAt, added: new Set(), removed: [], changes: new Map(), newComments: new Map(), hasChanges: false };
+      tickets.forEach(t => {
+        const old = before.get(t.key);
+        if (!old) { diff.added.add(t.key); return; }
+        const changes = SNAPSHOT_FIELDS
+          .filter(([field]) => (old[field] || '') !== (t[field] || ''))
+          .map(([field, label]) => ({ field, label, from: old[field], to: t[field] }));
+        if (changes.length) diff.changes.set(t.key, changes);
+        const seen = new Set(old.commentIds || []);
+        const added = (t.commentIds || commentIdsOf(t)).filter(id => !seen.has(id)).length;
+        if (added) diff.newComments.set(t.key, added);
+      });
+      diff.removed = snapshot.tickets.filter(t => !now.has(t.key));
+      diff.hasChanges = !!(diff.added.size || diff.removed.length || diff.changes.size || diff.newComments.size);
+      return diff;
+    }
+
+    function changeBadgesHtml(t) {
+      if (!snapshotDiff) return '';
+      const badge = (text, bg, fg) => `<span style="background:${bg};color:${fg};padding:2px 6px;border-radius:4px;font-size:11px;font-weight:600;">${text}</span>`;
+      const badges = [];
+      if (snapshotDiff.added.has(t.key)) badges.push(badge('🆕 New', '#dcfce7', '#166534'));
+      (snapshotDiff.changes.get(t.key) || []).forEach(c => badges.push(badge(`${escapeHtml(c.label)}: ${escapeHtml(c.from || '—')} → ${escapeHtml(c.to || '—')}`, '#fef3c7', '#92400e')));
+      const comments = snapshotDiff.newComments.get(t.key);
+      if (comments) badges.push(badge(`💬 +${comments} new comment${comments > 1 ? 's' : ''}`, '#dbeafe', '#1d4ed8'));
+      return badges.length ? `<div style="display:flex;flex-wrap:wrap;gap:6px;margin:0 0 8px 0;">${badges.join('')}</div>` : '';
+    }
+
+    function renderChangesPanelHtml() {
+      if (!previousSnapshots.length) return `<div style="font-size:12px;color:#94a3b8;margin-bottom:16px;">First run for this query: changes will be highlighted from the next run on.</div>`;
+      const diff = snapshotDiff;
+      const keyLink = t => `<a href="${escapeHtml(sanitizeUrl(t.link) || browseUrl(t.key))}" target="_blank" style="color:#3b82f6;text-decoration:none;">${escapeHtml(t.key)}</a>`;
+      const byKey = new Map(allTickets.map(t => [t.key, t]));
+      const sections = [
+        ['🆕 New', Array.from(diff.added).map(k => keyLink(byKey.get(k)))],
+        ['🔀 Changed', Array.from(diff.changes.entries()).map(([k, changes]) => `${keyLink(byKey.get(k))} <span style="color:#6b7280;">(${changes.map(c => `${escapeHtml(c.label.toLowerCase())}: ${escapeHtml(c.from || '—')} → ${escapeHtml(c.to || '—')}`).join(', ')})</span>`)],
+        ['💬 New comments', Array.from(diff.newComments.entries()).map(([k, n]) => `${keyLink(byKey.get(k))} <span style="color:#6b7280;">(+${n})</span>`)],
+        ['👋 Left the results', diff.removed.map(t => `${keyLink(t)} <span style="color:#6b7280;">${escapeHtml(t.summary || '')}</span>`)]
+      ];
+      const total = sections.reduce((n, [, items]) => n + items.length, 0);
+
+      let html = `<details data-changes-panel${total ? ' open' : ''} style="margin-bottom:16px;border:1px solid #e5e7eb;border-radius:8px;padding:12px 16px;">`;
+      html += `<summary style="cursor:pointer;font-size:13px;font-weight:600;color:#111827;">Changes since ${escapeHtml(formatDate(diff.takenAt))} <span style="font-weight:400;color:#6b7280;">(${total})</span></summary>`;
+      html += `<div style="margin-top:12px;font-size:12px;color:#6b7280;">Compare with <select data-changes-baseline style="border:1px solid #e5e7eb;border-radius:6px;padding:4px 8px;font-size:12px;">`;
+      previousSnapshots.slice().reverse().forEach(snap => {
+        html += `<option value="${escapeHtml(snap.takenAt)}"${snap.takenAt === diff.takenAt ? ' selected' : ''}>${escapeHtml(formatDate(snap.takenAt))} (${snap.tickets.length} tickets)</option>`;
+      });
+      html += `</select></div>`;
+      sections.forEach(([label, items]) => {
+        if (!items.length) return;
+        html += `<div style="margin-top:12px;"><div style="font-size:12px;font-weight:600;color:#374151;margin-bottom:4px;">${label} (${items.length})</div>`;
+        html += `<ul style="margin:0;padding-left:18px;font-size:13px;">${items.map(item => `<li style="margin:2px 0;">${item}</li>`).join('')}</ul></div>`;
+      });
+      if (!total) html += `<div style="margin-top:12px;font-size:13px;color:#94a3b8;">No changes.</div>`;
+      html += `</details>`;
+      return html;
+    }
+
+    function renderChangesPanel() {
+      const el = document.getElementById('jira-dashboard-changes');
+      if (el) el.innerHTML = renderChangesPanelHtml();
+    }
+
+    function compareWithSnapshot(takenAt) {
+      const snapshot = previousSnapshots.find(snap => snap.takenAt === takenAt);
+      if (!snapshot) return;
+      snapshotDiff = diffSnapshot(snapshot, allTickets);
+      renderChangesPanel();
+      applyFilters();
+    }
+
+    // export: always built from currentData, i.e. the tickets the dashboard is showing
+    const exportFormats = {
+      csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', build: data => ticketsToCSV(data.tickets) },
+      markdown: { label: 'Markdown report', extension: 'md', mime: 'text/markdown', build: ticketsToMarkdown },
+      json: { label: 'JSON', extension: 'json', mime: 'application/json', build: data => JSON.stringify(data, null, 2) }
+    };
+
+    function downloadText(text, filename, mime) {
+      const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async function copyText(text) {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        try { await navigator.clipboard.writeText(text); return; } catch (e) { /* fall back below */ }
+      }
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      ta.style.cssText = 'position:fixed;top:0;left:0;opacity:0;';
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      ta.remove();
+    }
+
+    function exportDashboard(format, action) {
+      const spec = exportFormats[format];
+      if (!spec) return Promise.resolve();
+      const text = spec.build(currentData);
+      if (action === 'copy') return copyText(text);
+      downloadText(text, `jira-dashboard-${new Date().toISOString().slice(0, 10)}.${spec.extension}`, spec.mime);
+      return Promise.resolve();
+    }
+
+    // toggle helper (works with elements rendered below). Section ids are derived from ticket keys and
+    // group names, so the set of expanded sections can be re-applied after any re-render.
+    const expandedSections = new Set();
+
+    function setSectionExpanded(root, id, expanded) {
+      const el = root.querySelector(`[id="${id}"]`);
+      const btn = root.querySelector(`[data-toggle="${id}"]`);
+      if (!el || !btn) return;
+      // rewrite the declaration in place so live and freshly rendered markup stay comparable
+      el.setAttribute('style', (el.getAttribute('style') || '').replace(/display:\s*(none|block)/, `display:${expanded ? 'block' : 'none'}`));
+      btn.textContent = expanded ? btn.getAttribute('data-expanded-text') || '▼' : btn.getAttribute('data-collapsed-text') || '▶';
+    }
+
+    function restoreExpandedSections(root) {
+      expandedSections.forEach(id => setSectionExpanded(root, id, true));
     }
 
-    // toggle helper (works with elements rendered below)
     window.toggleJiraSection = function(sectionId) {
       const el = document.getElementById(sectionId);
-      const btn = document.querySelector(`[data-toggle="${sectionId}"]`);
-      if (!el || !btn) return;
-      const expanded = el.style.display !== 'none';
-      el.style.display = expanded ? 'none' : 'block';
-      btn.textContent = expanded ? btn.getAttribute('data-collapsed-text') || '▶' : btn.getAttribute('data-expanded-text') || '▼';
+      if (!el) return;
+      const expand = el.style.display === 'none';
+      if (expand) expandedSections.add(sectionId); else expandedSections.delete(sectionId);
+      setSectionExpanded(document, sectionId, expand);
     };
 
-    // render
-    function renderDashboard(tickets = []) {
-      const grouped = groupTicketsByAssignee(tickets);
-      const stats = {
-        totalTickets: tickets.length,
-        userStories: tickets.filter(t => (t.type || '').toLowerCase().includes('story')).length,
-        tasks: tickets.filter(t => (t.type || '').toLowerCase().includes('task')).length,
-        assignees: Object.keys(grouped).length
+    // Replaces the content of `el` with `html`, touching as little as possible: when only ticket cards
+    // ([data-ticket-card]) differ, just those cards are swapped. Expanded sections and scroll survive.
+    function patchHtml(el, html) {
+      const next = document.createElement('div');
+      next.innerHTML = html;
+      restoreExpandedSections(next);
+      if (el.innerHTML === next.innerHTML) return;
+
+      const scroller = document.getElementById('jira-dashboard-modal');
+      const scrollTop = scroller ? scroller.scrollTop : 0;
+      const cards = root => Array.from(root.querySelectorAll('[data-ticket-card]'));
+      const skeleton = root => {
+        const clone = root.cloneNode(true);
+        cards(clone).forEach(card => card.replaceWith(document.createComment(card.getAttribute('data-ticket-card'))));
+        return clone.innerHTML;
       };
-      currentData = { tickets, groupedTickets: grouped, stats };
+      if (skeleton(el) === skeleton(next)) {
+        const live = cards(el);
+        cards(next).forEach((card, i) => { if (live[i].outerHTML !== card.outerHTML) live[i].replaceWith(card); });
+      } else {
+        el.replaceChildren(...Array.from(next.childNodes));
+      }
+      if (scroller) scroller.scrollTop = scrollTop;
+    }
+
+    // re-renders the stats and ticket list for the tickets that pass the current filters
+    function applyFilters() {
+      const tickets = allTickets.filter(t => ticketMatchesFilters(t, filterState));
+      const groupBy = GROUPINGS[currentView] ? currentView : currentView === 'kanban' ? 'status' : 'assignee';
+      currentData = createReportData(tickets, groupBy, dependencyGraph.byKey);
+      const renderOptions = { graph: dependencyGraph, changeBadges: changeBadgesHtml };
+
+      const statsEl = document.getElementById('jira-dashboard-stats');
+      const listEl = document.getElementById('jira-dashboard-list');
+      const countEl = document.getElementById('jira-dashboard-filter-count');
+      if (statsEl) patchHtml(statsEl, renderStatsHtml(currentData.stats));
+      if (listEl) {
+        if (currentView === 'kanban') patchHtml(listEl, renderKanbanHtml(tickets, renderOptions));
+        else if (currentView === 'dependencies') patchHtml(listEl, renderDependenciesHtml(tickets));
+        else patchHtml(listEl, renderGroupListHtml(currentData.groupedTickets, groupBy, renderOptions));
+      }
+      if (countEl) countEl.textContent = tickets.length === allTickets.length ? `${allTickets.length} tickets` : `Showing ${tickets.length} of ${allTickets.length} tickets`;
+    }
+
+    // shared by the first render and every refresh; diffs against the chosen snapshot of an earlier run
+    // (default: the latest)
+    function setTickets(tickets, baselineTakenAt) {
+      allTickets = tickets;
+      searchIndex = new Map(tickets.map(t => [t, ticketSearchText(t)]));
+      dependencyGraph = buildDependencyGraph(tickets);
+      const earlier = loadSnapshots().filter(snap => snap.takenAt !== runSnapshotAt);
+      // the first run of a query has no earlier run: its refreshes compare with how it started
+      previousSnapshots = earlier.length || !runStartSnapshot ? earlier : [runStartSnapshot];
+      const baseline = previousSnapshots.find(snap => snap.takenAt === baselineTakenAt) || previousSnapshots[previousSnapshots.length - 1];
+      snapshotDiff = baseline ? diffSnapshot(baseline, tickets) : null;
+      // an empty result is more likely a failed fetch than a real state worth comparing against
+      if (!tickets.length) return;
+      const snapshot = takeSnapshot(tickets);
+      if (!runStartSnapshot) runStartSnapshot = snapshot;
+      saveSnapshot(snapshot, baseline && baseline.takenAt);
+    }
+
+    // refresh: fetch again and patch the open dashboard in place instead of rebuilding the popup
+    const AUTO_REFRESH_OPTIONS = [0, 1, 2, 5, 10];
+    let autoRefreshMinutes = Math.max(0, Number(config.AUTO_REFRESH_MINUTES) || 0);
+    let autoRefreshTimer = null;
+    let refreshing = false;
+    let filterOptionsSignature = '';
+    // running the bookmarklet again creates a new dashboard; this one must then stop touching the popup
+    const instanceId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const isOwnPopupOpen = () => {
+      const popup = document.getElementById('jira-dashboard-popup');
+      return !!popup && popup.getAttribute('data-instance') === instanceId;
+    };
+    const filterOptionsOf = tickets => JSON.stringify(FILTER_FIELDS.map(([field]) => Array.from(new Set(tickets.map(t => t[field]))).sort()));
+
+    function setRefreshStatus(text) {
+      const el = document.querySelector('#jira-dashboard-popup [data-refresh-status]');
+      if (el) el.textContent = text;
+    }
+
+    function updateDashboard(tickets) {
+      setTickets(tickets, snapshotDiff && snapshotDiff.takenAt);
+
+      const changes = document.getElementById('jira-dashboard-changes');
+      if (changes) {
+        const panel = changes.querySelector('[data-changes-panel]');
+        const wasOpen = panel ? panel.open : false;
+        patchHtml(changes, renderChangesPanelHtml());
+        const updated = changes.querySelector('[data-changes-panel]');
+        if (updated && panel) updated.open = wasOpen;
+      }
+
+      // only rebuild the toolbar when the available options changed, so typing is never interrupted
+      const signature = filterOptionsOf(tickets);
+      const toolbar = document.getElementById('jira-dashboard-filters');
+      if (toolbar && signature !== filterOptionsSignature) {
+        toolbar.insertAdjacentHTML('afterend', renderFilterToolbarHtml(tickets));
+        toolbar.remove();
+        bindFilterToolbar(document.getElementById('jira-dashboard-filters'));
+      }
+      filterOptionsSignature = signature;
+
+      applyFilters();
+    }
+
+    async function refreshDashboard() {
+      if (refreshing || !isOwnPopupOpen()) return;
+      refreshing = true;
+      setRefreshStatus('Refreshing…');
+      try {
+        const tickets = await fetchJiraData();
+        if (!isOwnPopupOpen()) return;
+        updateDashboard(tickets);
+        setRefreshStatus(`Live data · updated ${new Date().toLocaleTimeString()}`);
+      } catch (err) {
+        console.error(err);
+        setRefreshStatus(`Refresh failed at ${new Date().toLocaleTimeString()}: ${fetchErrorSpec(err).title(err)}`);
+      } finally {
+        refreshing = false;
+      }
+    }
+
+    function scheduleAutoRefresh() {
+      clearInterval(autoRefreshTimer);
+      autoRefreshTimer = null;
+      if (!autoRefreshMinutes) return;
+      autoRefreshTimer = setInterval(() => {
+        if (!isOwnPopupOpen()) {
+          clearInterval(autoRefreshTimer);
+          autoRefreshTimer = null;
+          return;
+        }
+        refreshDashboard();
+      }, autoRefreshMinutes * 60 * 1000);
+    }
+
+    function renderDashboard(tickets = []) {
+      setTickets(tickets);
+      filterOptionsSignature = filterOptionsOf(tickets);
 
       // build HTML incrementally (avoid deep nested template problems)
       let html = '';
-      html += `<div id="jira-dashboard-popup" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.8);z-index:10000;display:flex;align-items:center;justify-content:center;font-family:system-ui,Segoe UI,Roboto,sans-serif;">`;
-      html += `<div style="background:white;border-radius:12px;width:90%;max-width:1200px;max-height:90%;overflow-y:auto;box-shadow:0 25px 50px -12px rgba(0,0,0,0.25);">`;
+      html += `<div id="jira-dashboard-popup" data-instance="${instanceId}" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.8);z-index:10000;display:flex;align-items:center;justify-content:center;font-family:system-ui,Segoe UI,Roboto,sans-serif;">`;
+      html += `<div id="jira-dashboard-modal" style="background:white;border-radius:12px;width:90%;max-width:1200px;max-height:90%;overflow-y:auto;box-shadow:0 25px 50px -12px rgba(0,0,0,0.25);">`;
 
       // header
       html += `<div style="padding:16px 24px;border-bottom:1px solid #e5e7eb;display:flex;justify-content:space-between;align-items:center;position:sticky;top:0;background:white;z-index:2;">`;
-      html += `<div style="display:flex;align-items:center;gap:12px;"><div style="width:32px;height:32px;background:#3b82f6;border-radius:8px;display:flex;align-items:center;justify-content:center;color:white;font-weight:bold;">J</div><div><h1 style="margin:0;font-size:16px;">JIRA Sprint Dashboard</h1><div style="font-size:12px;color:#6b7280;">Live data</div></div></div>`;
-      html += `<div><button onclick="document.getElementById('jira-dashboard-popup').remove()" style="background:none;border:none;font-size:20px;cursor:pointer;color:#6b7280;">×</button></div>`;
+      html += `<div style="display:flex;align-items:center;gap:12px;"><div style="width:32px;height:32px;background:#3b82f6;border-radius:8px;display:flex;align-items:center;justify-content:center;color:white;font-weight:bold;">J</div><div><h1 style="margin:0;font-size:16px;">JIRA Sprint Dashboard</h1><div data-refresh-status style="font-size:12px;color:#6b7280;">Live data · updated ${new Date().toLocaleTimeString()}</div></div></div>`;
+      html += `<div style="display:flex;align-items:center;gap:8px;">`;
+      html += `<button data-refresh title="Refresh now" style="background:none;border:1px solid #e5e7eb;border-radius:6px;padding:6px 10px;font-size:13px;cursor:pointer;color:#374151;">⟳</button>`;
+      html += `<select data-auto-refresh title="Auto-refresh" style="border:1px solid #e5e7eb;border-radius:6px;padding:6px 10px;font-size:13px;color:#374151;background:white;cursor:pointer;">`;
+      AUTO_REFRESH_OPTIONS.concat(AUTO_REFRESH_OPTIONS.includes(autoRefreshMinutes) ? [] : [autoRefreshMinutes]).forEach(minutes => {
+        html += `<option value="${minutes}"${minutes === autoRefreshMinutes ? ' selected' : ''}>${minutes ? `Every ${minutes} min` : 'Auto-refresh off'}</option>`;
+      });
+      html += `</select>`;
+      html += `<select data-view-switcher title="View" style="border:1px solid #e5e7eb;border-radius:6px;padding:6px 10px;font-size:13px;color:#374151;background:white;cursor:pointer;">`;
+      VIEWS.forEach(([id, label]) => { html += `<option value="${id}"${id === currentView ? ' selected' : ''}>${label}</option>`; });
+      html += `</select>`;
+      html += `<div style="position:relative;"><button data-export-menu-toggle style="background:none;border:1px solid #e5e7eb;border-radius:6px;padding:6px 10px;font-size:13px;cursor:pointer;color:#374151;">⬇ Export ▾</button>`;
+      html += `<div data-export-menu style="display:none;position:absolute;right:0;top:calc(100% + 4px);background:white;border:1px solid #e5e7eb;border-radius:8px;box-shadow:0 10px 15px -3px rgba(0,0,0,0.1);padding:6px;min-width:230px;z-index:3;">`;
+      Object.entries(exportFormats).forEach(([format, spec]) => {
+        html += `<div style="display:flex;align-items:center;justify-content:space-between;gap:8px;padding:4px 6px;font-size:13px;color:#111827;"><span>${spec.label}</span><span style="display:flex;gap:4px;"><button data-export="${format}" data-export-action="download" style="background:#f1f5f9;border:none;border-radius:4px;padding:3px 8px;font-size:12px;cursor:pointer;color:#374151;">Download</button><button data-export="${format}" data-export-action="copy" style="background:#f1f5f9;border:none;border-radius:4px;padding:3px 8px;font-size:12px;cursor:pointer;color:#374151;">Copy</button></span></div>`;
+      });
+      html += `</div></div>`;
+      html += `<button onclick="document.getElementById('jira-dashboard-popup').remove()" style="background:none;border:none;font-size:20px;cursor:pointer;color:#6b7280;">×</button></div>`;
       html += `</div>`; // header end
 
       html += `<div style="padding:24px;">`;
 
-      // stats
-      html += `<div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:16px;margin-bottom:24px;">`;
-      html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Total Tickets</div><div style="font-weight:600;font-size:18px;">${stats.totalTickets}</div></div><div style="font-size:20px;color:#3b82f6;">🎫</div></div>`;
-      html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">User Stories</div><div style="font-weight:600;font-size:18px;">${stats.userStories}</div></div><div style="font-size:20px;color:#10b981;">📖</div></div>`;
-      html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Tasks</div><div style="font-weight:600;font-size:18px;">${stats.tasks}</div></div><div style="font-size:20px;color:#f59e0b;">✓</div></div>`;
-      html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:8px;padding:16px;display:flex;justify-content:space-between;align-items:center;"><div><div style="font-size:12px;color:#6b7280;">Assignees</div><div style="font-weight:600;font-size:18px;">${stats.assignees}</div></div><div style="font-size:20px;color:#8b5cf6;">👥</div></div>`;
-      html += `</div>`; // stats end
-
-      // assignees list
-      html += `<div style="display:flex;flex-direction:column;gap:16px;">`;
-
-      Object.entries(grouped).forEach(([assignee, bucket], assigneeIndex) => {
-        // build tasks by parent for this assignee
-        const tasksByParent = (bucket.tasks || []).reduce((acc, t) => {
-          const parent = t.parentKey || 'standalone';
-          if (!acc[parent]) acc[parent] = [];
-          acc[parent].push(t);
-          return acc;
-        }, {});
-
-        html += `<div style="background:white;border:1px solid #e5e7eb;border-radius:12px;overflow:hidden;">`;
-        html += `<div style="padding:24px;display:flex;align-items:center;justify-content:space-between;cursor:pointer;" onclick="window.toggleJiraSection('assignee-${assigneeIndex}')">`;
-        html += `<div style="display:flex;align-items:center;gap:12px;"><div style="width:48px;height:48px;border-radius:50%;background:#dbeafe;display:flex;align-items:center;justify-content:center;color:#1d4ed8;font-weight:700;">${assignee.split(' ').map(x=>x[0]).join('').slice(0,2).toUpperCase()}</div><div><div style="font-weight:700;color:#111827;">${assignee}</div><div style="font-size:12px;color:#6b7280;">${Object.values(bucket.userStoriesBySprint).reduce((a,b)=>a+b.length,0)} Stories, ${bucket.tasks.length} Tasks</div></div></div>`;
-        html += `<div><button data-toggle="assignee-${assigneeIndex}" data-collapsed-text="▶" data-expanded-text="▼" style="background:none;border:none;font-size:20px;cursor:pointer;color:#6b7280;padding:8px;border-radius:6px;">▶</button></div>`;
-        html += `</div>`; // assignee header
-
-        // assignee content
-        html += `<div id="assignee-${assigneeIndex}" style="padding:24px;display:none;">`;
-
-        // Group user stories by sprint for this assignee
-        Object.entries(bucket.userStoriesBySprint).forEach(([sprint, stories], sprintIndex) => {
-          html += `<div style=\"margin-bottom:24px;background:#f8fafc;border-radius:8px;border-left:4px solid #3b82f6;padding:16px;\">`;
-          html += `<div style=\"font-weight:700;color:#1d4ed8;font-size:15px;margin-bottom:8px;\">${sprint}</div>`;
-          stories.forEach((story, storyIndex) => {
-            const lastComment = (story.comments && story.comments.length) ? story.comments[story.comments.length - 1] : null;
-            const subtaskCount = (tasksByParent[story.key] || []).length;
-
-            html += `<div style=\"display:flex;gap:16px;align-items:flex-start;margin-bottom:16px;\">`;
-
-            // story box (left)
-            html += `<div style=\"flex:2;border-left:4px solid #3b82f6;background:#f8fafc;border-radius:0 8px 8px 0;\">`;
-            html += `<div style=\"padding:16px;\">`;
-            html += `<div style=\"display:flex;align-items:center;justify-content:space-between;margin-bottom:12px;\">`;
-            html += `<div style=\"display:flex;align-items:center;gap:12px;flex-wrap:wrap;\">`;
-            html += `<div style=\"background:#3b82f6;color:white;padding:4px 8px;border-radius:4px;font-size:12px;font-weight:500;\">📖 STORY</div>`;
-            html += `<a href=\"${story.link}\" target=\"_blank\" style=\"font-weight:500;color:#3b82f6;text-decoration:none;\">${story.key}</a>`;
-            if (subtaskCount) html += `<div title=\"${subtaskCount} subtasks\" style=\"background:#fde68a;color:#92400e;padding:2px 6px;border-radius:999px;font-size:12px;margin-left:8px;font-weight:600;\">🧩 ${subtaskCount}</div>`;
-            html += `<div style=\"background:${getStatusColor(story.status)};color:white;padding:2px 6px;border-radius:4px;font-size:12px;\">${story.status}</div>`;
-            html += `<div style=\"background:${getPriorityColor(story.priority)};color:white;padding:2px 6px;border-radius:4px;font-size:12px;\">${story.priority}</div>`;
-            if (lastComment) html += `<div style=\"font-size:12px;color:#6b7280;margin-left:8px;\">💬 Last: ${formatDate(lastComment.created)}</div>`;
-            html += `</div>`;
-            if (tasksByParent[story.key]) {
-              html += `<div><button data-toggle=\"story-${assigneeIndex}-${sprintIndex}-${storyIndex}\" data-collapsed-text=\"▶\" data-expanded-text=\"▼\" onclick=\"window.toggleJiraSection('story-${assigneeIndex}-${sprintIndex}-${storyIndex}')\" style=\"background:none;border:none;font-size:16px;cursor:pointer;color:#6b7280;padding:4px;\">▶</button></div>`;
-            } else {
-              html += `<div style=\"width:28px\"></div>`;
-            }
-            html += `</div>`;
-            html += `<h4 style=\"margin:0 0 8px 0;font-weight:500;color:#111827;\">${story.summary}</h4>`;
-            if (story.description) {
-              html += `<div>`;
-              html += `<button data-toggle=\"description-${assigneeIndex}-${sprintIndex}-${storyIndex}\" data-collapsed-text=\"📝 View Description ▶\" data-expanded-text=\"📝 Hide Description ▼\" onclick=\"window.toggleJiraSection('description-${assigneeIndex}-${sprintIndex}-${storyIndex}')\" style=\"background:none;border:none;color:#3b82f6;cursor:pointer;margin-bottom:8px;\">📝 View Description ▶</button>`;
-              html += `<div id=\"description-${assigneeIndex}-${sprintIndex}-${storyIndex}\" style=\"display:none;margin:8px 0 12px 0;\"><div class=\"jira-description\" style=\"padding:8px;background:#ffffff;border-radius:6px;border:1px solid #e5e7eb;color:#6b7280;\">${story.description}</div></div>`;
-              html += `</div>`;
-            }
-            if (tasksByParent[story.key]) {
-              html += `<div id=\"story-${assigneeIndex}-${sprintIndex}-${storyIndex}\" style=\"display:none;margin-top:16px;\">`;
-              html += `<h5 style=\"margin:0 0 8px 0;font-size:12px;font-weight:500;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;\">Related Tasks</h5>`;
-              tasksByParent[story.key].forEach(task => {
-                html += `<div style=\"background:white;border:1px solid #e5e7eb;border-radius:6px;padding:12px;margin-bottom:8px;\">`;
-                html += `<div style=\"display:flex;align-items:center;gap:8px;margin-bottom:6px;\"><div style=\"background:#6b7280;color:white;padding:2px 6px;border-radius:3px;font-size:11px;font-weight:500;\">✓ TASK</div><a href=\"${task.link}\" target=\"_blank\" style=\"font-weight:500;font-size:14px;color:#6b7280;text-decoration:none;\">${task.key}</a><div style=\"background:${getStatusColor(task.status)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:6px;\">${task.status}</div><div style=\"background:${getPriorityColor(task.priority)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:4px;\">${task.priority}</div></div>`;
-                html += `<div style=\"font-weight:500;font-size:14px;color:#111827;margin-bottom:6px;\">${task.summary}</div>`;
-                if (task.description) html += `<div class=\"jira-description\" style=\"font-size:13px;color:#6b7280;line-height:1.4;margin-bottom:8px;\">${task.description}</div>`;
-                html += `<div style=\"display:flex;gap:12px;font-size:11px;color:#6b7280;\"><span><strong>Created:</strong> ${formatDate(task.created)}</span><span><strong>Updated:</strong> ${formatDate(task.updated)}</span></div>`;
-                html += `</div>`;
-              });
-              html += `</div>`;
-            }
-            html += `</div></div>`;
-            html += `<div style=\"flex:1;min-width:220px;max-width:350px;background:#f1f5f9;border-radius:8px;padding:16px;box-sizing:border-box;\">`;
-            if (story.comments && story.comments.length) {
-              html += `<button data-toggle=\"comments-${assigneeIndex}-${sprintIndex}-${storyIndex}\" data-collapsed-text=\"💬 ${story.comments.length} Comment${story.comments.length>1? 's':''} ▶\" data-expanded-text=\"💬 Hide Comments ▼\" onclick=\"window.toggleJiraSection('comments-${assigneeIndex}-${sprintIndex}-${storyIndex}')\" style=\"background:none;border:none;font-size:14px;cursor:pointer;color:#3b82f6;margin-bottom:8px;\">💬 ${story.comments.length} Comment${story.comments.length>1? 's':''} ▶</button>`;
-              html += `<div id=\"comments-${assigneeIndex}-${sprintIndex}-${storyIndex}\" style=\"display:none;margin:8px 0 0 0;\">`;
-              story.comments.forEach(c => {
-                html += `<div style=\"margin-bottom:10px;border-bottom:1px solid #e5e7eb;padding-bottom:8px;\"><div style=\"font-size:12px;color:#6b7280;margin-bottom:2px;\"><strong>${c.author}</strong> <span style=\"font-size:11px;color:#94a3b8;\">${formatDate(c.created)}</span></div><div style=\"font-size:13px;color:#111827;\">${c.body}</div></div>`;
-              });
-              html += `</div>`;
-            } else {
-              html += `<div style=\"color:#94a3b8;font-size:13px;\">No comments</div>`;
-            }
-            html += `</div>`;
-            html += `</div>`;
-          });
-          html += `</div>`;
-        });
+      html += `<div id="jira-dashboard-stats"></div>`;
+      html += `<div id="jira-dashboard-changes">${renderChangesPanelHtml()}</div>`;
+      html += renderFilterToolbarHtml(tickets);
 
-        // standalone tasks
-        if (tasksByParent.standalone) {
-          html += `<div><h5 style=\"margin:0 0 12px 0;font-size:12px;font-weight:500;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em;\">Standalone Tasks</h5>`;
-          tasksByParent.standalone.forEach(task => {
-            html += `<div style=\"background:white;border:1px solid #e5e7eb;border-radius:6px;padding:12px;margin-bottom:8px;\"><div style=\"display:flex;align-items:center;gap:8px;margin-bottom:6px;\"><div style=\"background:#6b7280;color:white;padding:2px 6px;border-radius:3px;font-size:11px;font-weight:500;\">✓ TASK</div><a href=\"${task.link}\" target=\"_blank\" style=\"font-weight:500;font-size:14px;color:#6b7280;text-decoration:none;\">${task.key}</a><div style=\"background:${getStatusColor(task.status)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:6px;\">${task.status}</div><div style=\"background:${getPriorityColor(task.priority)};color:white;padding:1px 4px;border-radius:3px;font-size:11px;margin-left:4px;\">${task.priority}</div></div><div style=\"font-weight:500;font-size:14px;color:#111827;margin-bottom:6px;\">${task.summary}</div>${task.description?`<div class=\\\"jira-description\\\" style=\\\"font-size:13px;color:#6b7280;line-height:1.4;margin-bottom:8px;\\\">${task.description}</div>`:''}<div style=\"display:flex;gap:12px;font-size:11px;color:#6b7280;\"><span><strong>Created:</strong> ${formatDate(task.created)}</span><span><strong>Updated:</strong> ${formatDate(task.updated)}</span></div></div>`;
-          });
-          html += `</div>`;
-        }
-
-        html += `</div>`; // assignee content end
-        html += `</div>`; // assignee card end
-      });
-
-      html += `</div>`; // assignees list
+      html += `<div id="jira-dashboard-list"></div>`;
 
       html += `</div>`; // padding
       html += `</div>`; // outer modal
@@ -293,21 +1710,161 @@ window.createJiraDashboard = function(config) {
       // click outside to close
       const popup = document.getElementById('jira-dashboard-popup');
       if (popup) popup.addEventListener('click', e => { if (e.target === popup) popup.remove(); });
+
+      const refreshButton = popup && popup.querySelector('[data-refresh]');
+      if (refreshButton) refreshButton.addEventListener('click', () => refreshDashboard());
+      const autoRefresh = popup && popup.querySelector('[data-auto-refresh]');
+      if (autoRefresh) autoRefresh.addEventListener('change', () => {
+        autoRefreshMinutes = Number(autoRefresh.value) || 0;
+        scheduleAutoRefresh();
+      });
+      scheduleAutoRefresh();
+
+      const viewSwitcher = popup && popup.querySelector('[data-view-switcher]');
+      if (viewSwitcher) viewSwitcher.addEventListener('change', () => setView(viewSwitcher.value));
+
+      const changes = document.getElementById('jira-dashboard-changes');
+      if (changes) changes.addEventListener('change', e => {
+        if (e.target.matches('[data-changes-baseline]')) compareWithSnapshot(e.target.value);
+      });
+
+      const toolbar = document.getElementById('jira-dashboard-filters');
+      if (toolbar) bindFilterToolbar(toolbar);
+      applyFilters();
+
+      // export menu
+      const exportMenu = popup && popup.querySelector('[data-export-menu]');
+      const exportToggle = popup && popup.querySelector('[data-export-menu-toggle]');
+      if (exportMenu && exportToggle) {
+        exportToggle.addEventListener('click', () => { exportMenu.style.display = exportMenu.style.display === 'none' ? 'block' : 'none'; });
+        exportMenu.querySelectorAll('[data-export]').forEach(btn => btn.addEventListener('click', () => {
+          const action = btn.getAttribute('data-export-action');
+          const label = btn.textContent;
+          exportDashboard(btn.getAttribute('data-export'), action)
+            .then(() => { if (action === 'copy') { btn.textContent = 'Copied!'; setTimeout(() => { btn.textContent = label; }, 1500); } })
+            .catch(err => console.error('Export failed', err));
+        }));
+      }
     }
 
     // show loading
+    let loadingAbort = null;
     function showLoading() {
-      const loading = `<div id="jira-dashboard-popup" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.8);z-index:10000;display:flex;align-items:center;justify-content:center;font-family:system-ui,Segoe UI,Roboto,sans-serif;"><div style="background:white;border-radius:12px;padding:40px;text-align:center;box-shadow:0 25px 50px -12px rgba(0,0,0,0.25);"><div style="width:40px;height:40px;border:4px solid #e5e7eb;border-top:4px solid #3b82f6;border-radius:50%;animation:spin 1s linear infinite;margin:0 auto 16px auto;"></div><h3 style="margin:0 0 8px 0;color:#111827;">Fetching JIRA Data</h3><p style="margin:0;color:#6b7280;">Processing JIRA XML response...</p></div><style>@keyframes spin{0%{transform:rotate(0deg)}100%{transform:rotate(360deg)}}</style></div>`;
+      loadingAbort = new AbortController();
+      const loading = `<div id="jira-dashboard-popup" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.8);z-index:10000;display:flex;align-items:center;justify-content:center;font-family:system-ui,Segoe UI,Roboto,sans-serif;"><div style="background:white;border-radius:12px;padding:40px;text-align:center;box-shadow:0 25px 50px -12px rgba(0,0,0,0.25);"><div style="width:40px;height:40px;border:4px solid #e5e7eb;border-top:4px solid #3b82f6;border-radius:50%;animation:spin 1s linear infinite;margin:0 auto 16px auto;"></div><h3 style="margin:0 0 8px 0;color:#111827;">Fetching JIRA Data</h3><p id="jira-dashboard-progress" style="margin:0;color:#6b7280;">Processing JIRA XML response...</p><button id="jira-dashboard-cancel" style="margin-top:16px;background:none;border:1px solid #e5e7eb;border-radius:6px;padding:6px 12px;cursor:pointer;color:#6b7280;">Cancel</button></div><style>@keyframes spin{0%{transform:rotate(0deg)}100%{transform:rotate(360deg)}}</style></div>`;
       const existing = document.getElementById('jira-dashboard-popup'); if (existing) existing.remove();
       document.body.insertAdjacentHTML('beforeend', loading);
+      const cancel = document.getElementById('jira-dashboard-cancel');
+      if (cancel) cancel.addEventListener('click', () => loadingAbort.abort());
+    }
+
+    function updateLoadingProgress({ page, pages, loaded }) {
+      const el = document.getElementById('jira-dashboard-progress');
+      if (el) el.textContent = `Page ${page}${pages ? ` of ${pages}` : ''} / ${loaded} tickets loaded`;
+    }
+
+    // error state: says what went wrong instead of showing an empty dashboard, and lets you retry,
+    // with a new token when JIRA rejected the old one
+    const FETCH_ERRORS = {
+      auth: {
+        title: err => `JIRA rejected the request (HTTP ${err.status})`,
+        hint: err => {
+          if (AUTH === 'cookie') return 'Your JIRA session is missing or has expired. Log in to JIRA in this browser, then retry.';
+          if (err.status === 403) return 'The credentials were accepted but do not give access to this search, or JIRA asks for a CAPTCHA after failed logins. Log in once in the browser or try another token.';
+          return AUTH === 'basic'
+            ? 'The email or API token is wrong, or the token was revoked. Enter them again to retry.'
+            : 'The token is missing, expired or revoked. Create a new one under Profile → Personal access tokens and enter it to retry.';
+        }
+      },
+      network: {
+        title: () => 'Could not reach JIRA',
+        hint: () => 'The request failed before JIRA answered: you may be offline, the URL may be wrong, or the browser blocked a cross-origin request (CORS). Run the dashboard from a page on the JIRA site itself.'
+      },
+      response: {
+        title: () => 'JIRA did not send the expected data',
+        hint: () => (AUTH === 'cookie'
+          ? 'This is usually the login page: log in to JIRA in this browser, then retry.'
+          : 'This is usually a login or proxy page, e.g. because the token expired. Enter a new token to retry.')
+      },
+      parse: {
+        title: () => 'The JIRA response could not be read',
+        hint: () => 'It is not valid XML/JSON, possibly because it was cut off. Retry, or lower PAGE_SIZE if large pages keep failing.'
+      },
+      http: {
+        title: err => `JIRA answered with HTTP ${err.status}`,
+        hint: err => (err.status === 404 ? 'The search URL was not found: check JIRA_URL.' : 'JIRA could not handle the request. Retry later.')
+      },
+      config: {
+        title: () => 'The dashboard settings are invalid',
+        hint: err => `${err.message} Fix the config in the bookmarklet, then run it again.`
+      }
+    };
+    const UNKNOWN_FETCH_ERROR = { title: () => 'Something went wrong', hint: () => 'See the details below and the browser console.' };
+    const fetchErrorSpec = err => FETCH_ERRORS[err && err.kind] || UNKNOWN_FETCH_ERROR;
+
+    function showError(err) {
+      const spec = fetchErrorSpec(err);
+      const askCredentials = AUTH !== 'cookie' && (err.kind === 'auth' || err.kind === 'response');
+      // retrying cannot fix the config
+      const canRetry = err.kind !== 'config';
+      const details = [err.message || String(err), err.url, err.preview].filter(Boolean).join('\n\n');
+      const inputStyle = 'border:1px solid #e5e7eb;border-radius:6px;padding:8px 10px;font-size:13px;color:#374151;background:white;';
+      let html = `<div id="jira-dashboard-popup" style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.8);z-index:10000;display:flex;align-items:center;justify-content:center;font-family:system-ui,Segoe UI,Roboto,sans-serif;">`;
+      html += `<form data-error-retry style="background:white;border-radius:12px;padding:32px;width:90%;max-width:520px;box-sizing:border-box;box-shadow:0 25px 50px -12px rgba(0,0,0,0.25);">`;
+      html += `<div style="display:flex;align-items:center;gap:12px;margin-bottom:12px;"><div style="width:32px;height:32px;background:#fee2e2;color:#b91c1c;border-radius:8px;display:flex;align-items:center;justify-content:center;font-weight:bold;flex-shrink:0;">!</div><h3 style="margin:0;color:#111827;">${escapeHtml(spec.title(err))}</h3></div>`;
+      html += `<p style="margin:0 0 12px 0;color:#374151;font-size:14px;line-height:1.5;">${escapeHtml(spec.hint(err))}</p>`;
+      html += `<details style="margin-bottom:16px;font-size:12px;color:#6b7280;"><summary style="cursor:pointer;">Details</summary><pre style="white-space:pre-wrap;word-break:break-word;background:#f8fafc;border:1px solid #e5e7eb;border-radius:6px;padding:8px;margin:8px 0 0 0;">${escapeHtml(details)}</pre></details>`;
+      if (askCredentials) {
+        html += `<div style="display:flex;flex-direction:column;gap:8px;margin-bottom:16px;">`;
+        if (AUTH === 'basic') html += `<input type="email" data-auth-email placeholder="Atlassian account email" value="${escapeHtml(authEmail)}" style="${inputStyle}">`;
+        html += `<input type="password" data-auth-token placeholder="${AUTH === 'basic' ? 'API token' : 'Personal access token'}" autocomplete="off" style="${inputStyle}">`;
+        html += `<label style="display:flex;align-items:center;gap:6px;font-size:13px;color:#6b7280;"><input type="checkbox" data-auth-remember>Remember the token in this browser</label>`;
+        html += `</div>`;
+      }
+      html += `<div style="display:flex;justify-content:flex-end;gap:8px;"><button type="button" data-error-close style="background:none;border:1px solid #e5e7eb;border-radius:6px;padding:6px 12px;cursor:pointer;color:#6b7280;">Close</button>${canRetry ? `<button type="submit" style="background:#3b82f6;border:none;border-radius:6px;padding:6px 12px;cursor:pointer;color:white;">Retry</button>` : ''}</div>`;
+      html += `</form></div>`;
+
+      const existing = document.getElementById('jira-dashboard-popup'); if (existing) existing.remove();
+      document.body.insertAdjacentHTML('beforeend', html);
+      const popup = document.getElementById('jira-dashboard-popup');
+      popup.querySelector('[data-error-close]').addEventListener('click', () => popup.remove());
+      popup.querySelector('[data-error-retry]').addEventListener('submit', event => {
+        event.preventDefault();
+        if (!canRetry) return;
+        const token = popup.querySelector('[data-auth-token]');
+        const email = popup.querySelector('[data-auth-email]');
+        const remember = popup.querySelector('[data-auth-remember]');
+        if (token && token.value.trim()) authToken = token.value.trim();
+        if (email) authEmail = email.value.trim();
+        if (remember && remember.checked) {
+          try { localStorage.setItem(TOKEN_STORAGE_KEY, authToken); } catch (e) { /* token is only used for this run */ }
+        }
+        loadDashboard();
+      });
+      const emailInput = popup.querySelector('[data-auth-email]');
+      const firstInput = emailInput && !emailInput.value ? emailInput : popup.querySelector('[data-auth-token]');
+      if (firstInput) firstInput.focus();
     }
 
     // run
-    showLoading();
-    fetchJiraData().then(tickets => {
-      renderDashboard(tickets)
-      console.log('JIRA Dashboard rendered with', tickets.length, 'tickets', tickets);
-  }).catch(err => { renderDashboard([]); console.error(err); });
+    function loadDashboard() {
+      showLoading();
+      fetchJiraData({ signal: loadingAbort.signal, onProgress: updateLoadingProgress }).then(tickets => {
+        renderDashboard(tickets)
+        console.log('JIRA Dashboard rendered with', tickets.length, 'tickets', tickets);
+      }).catch(err => {
+        if (err && err.name === 'AbortError') {
+          const popup = document.getElementById('jira-dashboard-popup');
+          if (popup) popup.remove();
+          return;
+        }
+        console.error(err);
+        showError(err);
+      });
+    }
+    if (configErrors.length) showError(fetchError('config', configErrors.join(' ')));
+    else loadDashboard();
 
   })();
 };
+
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const childProcess = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'jira-report.js');
+const FIXTURE = path.join(__dirname, 'fixtures', 'sprint.xml');
+const execFile = util.promisify(childProcess.execFile);
+const run = (...args) => childProcess.spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: Object.assign({}, process.env, { JIRA_TOKEN: '' }) });
+
+test('jira-report renders a saved SearchRequest.xml', () => {
+  const html = run(FIXTURE, '--title', 'Sprint 7');
+  assert.equal(html.status, 0, html.stderr);
+  assert.match(html.stdout, /^<!doctype html>/);
+  assert.match(html.stdout, /<title>Sprint 7<\/title>/);
+
+  const csv = run(FIXTURE, '--format', 'csv');
+  assert.equal(csv.stdout.split('\r\n').length, 7);
+
+  const json = JSON.parse(run(FIXTURE, '--format', 'json', '--view', 'sprint').stdout);
+  assert.equal(json.groupBy, 'sprint');
+  assert.deepEqual(Object.keys(json.groupedTickets), ['Sprint 7', 'No Sprint']);
+});
+
+test('jira-report fails with a message on bad arguments', () => {
+  [[FIXTURE, '--view', 'nope'], [FIXTURE, '--format', 'pdf'], [], ['--url', 'https://jira.example.com/sr/x.xml']].forEach(args => {
+    const result = run(...args);
+    assert.equal(result.status, 1, args.join(' '));
+    assert.match(result.stderr, /^jira-report: /, args.join(' '));
+  });
+});
+
+test('jira-report --url fetches every page when JIRA caps tempMax', async () => {
+  const total = 7;
+  const cap = 3;
+  const starts = [];
+  const jira = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const start = Number(url.searchParams.get('pager/start'));
+    starts.push(start);
+    const end = Math.min(total, start + cap);
+    let items = '';
+    for (let n = start; n < end; n++) items += `<item><key>SHOP-${n}</key><summary>Ticket ${n}</summary><link>http://localhost/browse/SHOP-${n}</link><created>Mon, 1 Jul 2024 09:00:00 +0000</created><updated>Mon, 1 Jul 2024 09:00:00 +0000</updated></item>`;
+    res.setHeader('Content-Type', 'application/xml');
+    res.end(`<rss><channel><issue start="${start}" end="${end}" total="${total}"/>${items}</channel></rss>`);
+  });
+  await new Promise(resolve => jira.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://127.0.0.1:${jira.address().port}/sr/jira.issueviews:searchrequest-xml/temp/SearchRequest.xml?jqlQuery=project%3DSHOP&tempMax=5`;
+    const { stdout } = await execFile(process.execPath, [CLI, '--url', url, '--format', 'json'], { env: Object.assign({}, process.env, { JIRA_TOKEN: 't' }) });
+    assert.deepEqual(JSON.parse(stdout).tickets.map(t => t.key), Array.from({ length: total }, (_, n) => `SHOP-${n}`));
+    assert.deepEqual(starts.sort((a, b) => a - b), [0, 3, 6]);
+  } finally {
+    jira.close();
+  }
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JIRA_URL, fixture, until, bookmarkletWindow, response } = require('./helpers');
+
+const SPRINT_XML = fixture('sprint.xml');
+const LOGIN_PAGE = '<!DOCTYPE html><html><head><title>Log in - JIRA</title></head><body><form id="login-form"></form></body></html>';
+
+// runs the bookmarklet against a JIRA that answers every request with respond(request)
+function dashboard(config, respond) {
+  const requests = [];
+  const window = bookmarkletWindow(async (url, options) => {
+    requests.push({ url, options });
+    return respond({ url, options });
+  });
+  window.createJiraDashboard(Object.assign({ JIRA_URL, BEARER_TOKEN: 'old' }, config));
+  return { document: window.document, requests };
+}
+
+// waits for the error screen and reads what it tells the user
+async function errorScreen(document) {
+  await until(() => document.querySelector('[data-error-retry]'));
+  const popup = document.getElementById('jira-dashboard-popup');
+  return {
+    title: popup.querySelector('h3').textContent,
+    hint: popup.querySelector('p').textContent,
+    details: popup.querySelector('pre').textContent,
+    asksForToken: !!popup.querySelector('[data-auth-token]'),
+    canRetry: !!popup.querySelector('button[type="submit"]')
+  };
+}
+
+test('an unknown auth mode or data source shows a config error instead of throwing', () => {
+  [[{ AUTH: 'oauth' }, /Unknown auth mode "oauth"/], [{ source: 'graphql' }, /Unknown JIRA data source "graphql"/]].forEach(([config, message]) => {
+    const { document, requests } = dashboard(config, () => response(SPRINT_XML));
+    const popup = document.getElementById('jira-dashboard-popup');
+    assert.ok(popup.querySelector('[data-error-retry]'));
+    assert.match(popup.textContent, /The dashboard settings are invalid/);
+    assert.match(popup.textContent, message);
+    assert.equal(popup.querySelector('button[type="submit"]'), null);
+    assert.equal(requests.length, 0);
+  });
+});
+
+test('a request that never reaches JIRA is reported as a network or CORS failure', async () => {
+  const { document } = dashboard({}, () => { throw new TypeError('Failed to fetch'); });
+  const screen = await errorScreen(document);
+  assert.equal(screen.title, 'Could not reach JIRA');
+  assert.match(screen.hint, /CORS/);
+  assert.match(screen.details, /Could not reach https:\/\/jira\.example\.com \(Failed to fetch\)/);
+  assert.equal(screen.asksForToken, false);
+  assert.equal(screen.canRetry, true);
+});
+
+test('a login page served with HTTP 200 is reported as an unexpected response and asks for a token', async () => {
+  const { document } = dashboard({}, () => response(LOGIN_PAGE, { contentType: 'text/html;charset=UTF-8' }));
+  const screen = await errorScreen(document);
+  assert.equal(screen.title, 'JIRA did not send the expected data');
+  assert.match(screen.details, /Expected XML, got text\/html/);
+  assert.match(screen.details, /Log in - JIRA/);
+  assert.equal(screen.asksForToken, true);
+});
+
+test('XML that DOMParser rejects is reported as a parse error', async () => {
+  const { document } = dashboard({}, () => response('<rss><channel><item><key>SHOP-1</key></channel></rss>'));
+  const screen = await errorScreen(document);
+  assert.equal(screen.title, 'The JIRA response could not be read');
+  assert.match(screen.details, /^Malformed XML: /);
+  assert.equal(screen.asksForToken, false);
+});
+
+test('401 and 403 are told apart', async () => {
+  const unauthorized = await errorScreen(dashboard({}, () => response('', { status: 401 })).document);
+  assert.equal(unauthorized.title, 'JIRA rejected the request (HTTP 401)');
+  assert.match(unauthorized.hint, /token is missing, expired or revoked/);
+  assert.equal(unauthorized.asksForToken, true);
+
+  const forbidden = await errorScreen(dashboard({}, () => response('', { status: 403 })).document);
+  assert.equal(forbidden.title, 'JIRA rejected the request (HTTP 403)');
+  assert.match(forbidden.hint, /do not give access to this search/);
+  assert.match(forbidden.hint, /CAPTCHA/);
+  assert.equal(forbidden.asksForToken, true);
+});
+
+test('other HTTP failures are reported with their status', async () => {
+  const screen = await errorScreen(dashboard({}, () => response('', { status: 404 })).document);
+  assert.equal(screen.title, 'JIRA answered with HTTP 404');
+  assert.match(screen.hint, /check JIRA_URL/);
+  assert.equal(screen.asksForToken, false);
+});
+
+test('a rejected token can be replaced from the error screen', async () => {
+  const { document, requests } = dashboard({}, ({ options }) => response(SPRINT_XML, { status: options.headers.Authorization === 'Bearer new' ? 200 : 401 }));
+  await errorScreen(document);
+  document.querySelector('[data-auth-token]').value = 'new';
+  document.querySelector('[data-error-retry] button[type="submit"]').click();
+  await until(() => document.querySelector('[data-ticket-card="SHOP-1"]'));
+  assert.deepEqual(requests.map(r => r.options.headers.Authorization), ['Bearer old', 'Bearer new']);
+});
+
+test('each auth mode sends its own credentials', async () => {
+  const sent = async config => {
+    const { document, requests } = dashboard(config, () => response(SPRINT_XML));
+    await until(() => document.querySelector('[data-ticket-card="SHOP-1"]'));
+    return { authorization: requests[0].options.headers.Authorization, credentials: requests[0].options.credentials };
+  };
+  assert.deepEqual(await sent({}), { authorization: 'Bearer old', credentials: undefined });
+  // the email and token are sent as UTF-8, which btoa cannot take directly
+  assert.deepEqual(await sent({ AUTH: 'basic', EMAIL: 'zoë@example.com', API_TOKEN: 'tökén' }), {
+    authorization: `Basic ${Buffer.from('zoë@example.com:tökén', 'utf8').toString('base64')}`,
+    credentials: undefined
+  });
+  assert.deepEqual(await sent({ AUTH: 'cookie' }), { authorization: undefined, credentials: 'include' });
+});
+
+test('cookie mode points to the JIRA login instead of asking for a token', async () => {
+  const screen = await errorScreen(dashboard({ AUTH: 'cookie' }, () => response('', { status: 401 })).document);
+  assert.equal(screen.title, 'JIRA rejected the request (HTTP 401)');
+  assert.match(screen.hint, /session is missing or has expired/);
+  assert.equal(screen.asksForToken, false);
+});
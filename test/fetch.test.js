@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJiraCore } = require('../jira-dashboard.js');
+
+const core = createJiraCore();
+const ticket = n => ({ key: `SHOP-${n}` });
+
+// a search that returns at most `cap` tickets per page, whatever page size was asked for
+function server({ total, cap, reportTotal = true, reportPageSize = false }) {
+  const requests = [];
+  const fetchPage = async start => {
+    requests.push(start);
+    const count = Math.max(0, Math.min(cap, total - start));
+    return {
+      tickets: Array.from({ length: count }, (_, i) => ticket(start + i)),
+      total: reportTotal ? total : null,
+      pageSize: reportPageSize ? cap : 2000
+    };
+  };
+  return { fetchPage, requests };
+}
+
+test('fetchAllPages pages by the size the server reports', async () => {
+  const { fetchPage, requests } = server({ total: 2500, cap: 1000, reportPageSize: true });
+  const tickets = await core.fetchAllPages(fetchPage);
+  assert.equal(tickets.length, 2500);
+  assert.deepEqual(requests, [0, 1000, 2000]);
+});
+
+test('fetchAllPages notices a capped first page', async () => {
+  const { fetchPage, requests } = server({ total: 2500, cap: 1000 });
+  const tickets = await core.fetchAllPages(fetchPage);
+  assert.deepEqual(tickets.map(t => t.key), Array.from({ length: 2500 }, (_, i) => `SHOP-${i}`));
+  assert.deepEqual(requests, [0, 1000, 2000]);
+});
+
+test('fetchAllPages without a total keeps going past a capped page', async () => {
+  const { fetchPage, requests } = server({ total: 2500, cap: 1000, reportTotal: false });
+  const progress = [];
+  const tickets = await core.fetchAllPages(fetchPage, { onProgress: p => progress.push(p) });
+  assert.equal(tickets.length, 2500);
+  assert.deepEqual(requests, [0, 1000, 2000]);
+  assert.deepEqual(progress.map(p => p.loaded), [1000, 2000, 2500]);
+});
+
+test('fetchAllPages fetches a single short page once', async () => {
+  const { fetchPage, requests } = server({ total: 5, cap: 1000 });
+  assert.equal((await core.fetchAllPages(fetchPage)).length, 5);
+  assert.deepEqual(requests, [0]);
+});
+
+test('fetchAllPages limits the pages in flight and merges them in order', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fetchPage = async start => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    // later pages answer first
+    await new Promise(resolve => setTimeout(resolve, start ? 50 - start / 10 : 0));
+    inFlight--;
+    return { tickets: [ticket(start), ticket(start + 1)], total: 20, pageSize: 2 };
+  };
+  const tickets = await core.fetchAllPages(fetchPage, { maxConcurrent: 3 });
+  assert.deepEqual(tickets.map(t => t.key), Array.from({ length: 20 }, (_, i) => `SHOP-${i}`));
+  assert.equal(maxInFlight, 3);
+});
+
+test('fetchAllPages without a total stops when a page brings nothing new', async () => {
+  const requests = [];
+  const fetchPage = async start => {
+    requests.push(start);
+    return { tickets: [ticket(1), ticket(2), ticket(3)], total: null, pageSize: 1000 };
+  };
+  assert.equal((await core.fetchAllPages(fetchPage)).length, 3);
+  assert.deepEqual(requests, [0, 3]);
+});
+
+test('fetchAllPages stops fetching when a page fails', async () => {
+  const requests = [];
+  const signals = [];
+  const fetchPage = async (start, signal) => {
+    requests.push(start);
+    signals.push(signal);
+    if (start === 2) throw new Error('HTTP 500');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { tickets: [ticket(start), ticket(start + 1)], total: 40, pageSize: 2 };
+  };
+  await assert.rejects(core.fetchAllPages(fetchPage, { maxConcurrent: 3 }), /HTTP 500/);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(requests, [0, 2, 4, 6]);
+  assert.ok(signals.slice(1).every(signal => signal.aborted));
+});
+
+test('fetchAllPages stops fetching when the caller aborts', async () => {
+  const controller = new AbortController();
+  const requests = [];
+  const fetchPage = async start => {
+    requests.push(start);
+    if (start === 4) controller.abort();
+    return { tickets: [ticket(start), ticket(start + 1)], total: 40, pageSize: 2 };
+  };
+  await assert.rejects(core.fetchAllPages(fetchPage, { signal: controller.signal, maxConcurrent: 1 }), { name: 'AbortError' });
+  assert.deepEqual(requests, [0, 2, 4]);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JIRA_URL, fixture, until, bookmarkletWindow, response } = require('./helpers');
+
+const SPRINT_XML = fixture('sprint.xml');
+
+// the bookmarklet in a browser-like window whose JIRA always answers with sprint.xml
+function browser() {
+  const window = bookmarkletWindow(async () => response(SPRINT_XML));
+  const document = window.document;
+  const toolbar = () => document.getElementById('jira-dashboard-filters');
+  const page = {
+    window,
+    document,
+    async open(jiraUrl = JIRA_URL) {
+      document.getElementById('jira-dashboard-popup')?.remove();
+      window.createJiraDashboard({ JIRA_URL: jiraUrl, BEARER_TOKEN: 't' });
+      await until(() => toolbar());
+    },
+    view(view) {
+      const switcher = document.querySelector('[data-view-switcher]');
+      switcher.value = view;
+      switcher.dispatchEvent(new window.Event('change'));
+    },
+    // toolbar edits, as the browser reports them
+    search(text) {
+      toolbar().querySelector('[data-filter-text]').value = text;
+      toolbar().dispatchEvent(new window.Event('input'));
+    },
+    commentsSince(date) {
+      toolbar().querySelector('[data-filter-comments-since]').value = date;
+      toolbar().dispatchEvent(new window.Event('input'));
+    },
+    check(field, value, checked = true) {
+      const box = toolbar().querySelector(`[data-filter-field="${field}"] input[value="${value}"]`);
+      box.checked = checked;
+      box.dispatchEvent(new window.Event('input', { bubbles: true }));
+    },
+    clear: () => toolbar().querySelector('[data-filter-clear]').click(),
+    checked: field => Array.from(toolbar().querySelectorAll(`[data-filter-field="${field}"] input:checked`)).map(i => i.value),
+    cards: () => Array.from(document.querySelectorAll('#jira-dashboard-list [data-ticket-card]')).map(el => el.getAttribute('data-ticket-card')).sort(),
+    count: () => document.getElementById('jira-dashboard-filter-count').textContent,
+    stat: label => Array.from(document.querySelectorAll('#jira-dashboard-stats div'))
+      .find(el => el.textContent === label).nextElementSibling.textContent
+  };
+  return page;
+}
+
+test('free-text search looks in keys, summaries, descriptions and comments', async () => {
+  const page = browser();
+  await page.open();
+  page.view('kanban');
+  assert.deepEqual(page.cards(), ['SHOP-1', 'SHOP-2', 'SHOP-3', 'SHOP-4', 'SHOP-5']);
+  [['shop-4', ['SHOP-4']], ['pay', ['SHOP-1', 'SHOP-4']], ['never the pan', ['SHOP-2']], ['MASTERCARD', ['SHOP-1']], ['the spec', ['SHOP-1']], ['nothing like this', []]].forEach(([text, keys]) => {
+    page.search(text);
+    assert.deepEqual(page.cards(), keys, text);
+  });
+  // markup is not searchable text
+  page.search('<b>');
+  assert.deepEqual(page.cards(), []);
+});
+
+test('values of one field widen the selection, different fields narrow it', async () => {
+  const page = browser();
+  await page.open();
+  page.view('kanban');
+  page.check('status', 'In Progress');
+  page.check('status', 'In Review');
+  assert.deepEqual(page.cards(), ['SHOP-1', 'SHOP-4']);
+  page.check('assignee', 'Bob Lee');
+  assert.deepEqual(page.cards(), ['SHOP-4']);
+  assert.match(page.document.querySelector('[data-filter-field="status"] [data-filter-count]').textContent, /\(2\)/);
+  page.check('status', 'In Review', false);
+  assert.deepEqual(page.cards(), []);
+  page.clear();
+  assert.deepEqual(page.cards(), ['SHOP-1', 'SHOP-2', 'SHOP-3', 'SHOP-4', 'SHOP-5']);
+});
+
+test('comments since keeps tickets commented on or after that day', async () => {
+  const page = browser();
+  await page.open();
+  page.view('kanban');
+  page.commentsSince('2024-07-01');
+  assert.deepEqual(page.cards(), ['SHOP-1']);
+  page.commentsSince('2024-07-03');
+  assert.deepEqual(page.cards(), []);
+  page.commentsSince('');
+  assert.equal(page.cards().length, 5);
+});
+
+test('stats and group counts follow the filtered tickets', async () => {
+  const page = browser();
+  await page.open();
+  page.view('assignee');
+  assert.equal(page.stat('Total Tickets'), '5');
+  assert.equal(page.count(), '5 tickets');
+  page.check('assignee', 'Bob Lee');
+  assert.equal(page.stat('Total Tickets'), '2');
+  assert.equal(page.stat('User Stories'), '1');
+  assert.equal(page.stat('Assignees'), '1');
+  assert.equal(page.count(), 'Showing 2 of 5 tickets');
+  const groups = page.document.getElementById('jira-dashboard-list').textContent;
+  assert.match(groups, /Bob Lee1 Stories, 1 Tasks · 3 pts/);
+  assert.doesNotMatch(groups, /Alice Jones/);
+});
+
+test('filters are saved per search and restored when it is opened again', async () => {
+  const page = browser();
+  await page.open();
+  page.view('kanban');
+  page.search('pay');
+  page.check('status', 'In Review');
+  assert.deepEqual(page.cards(), ['SHOP-4']);
+  assert.deepEqual(JSON.parse(page.window.localStorage.getItem('jira-dashboard-filters:project=SHOP')), {
+    text: 'pay', commentsSince: '', status: ['In Review'], priority: [], type: [], sprint: [], assignee: []
+  });
+
+  await page.open();
+  assert.equal(page.document.querySelector('[data-filter-text]').value, 'pay');
+  assert.deepEqual(page.checked('status'), ['In Review']);
+  assert.deepEqual(page.cards(), ['SHOP-4']);
+  assert.equal(page.count(), 'Showing 1 of 5 tickets');
+
+  // another search starts from its own, empty filters
+  await page.open(JIRA_URL.replace('project%3DSHOP', 'project%3DSHOP%20AND%20sprint%3D7'));
+  assert.equal(page.document.querySelector('[data-filter-text]').value, '');
+  assert.deepEqual(page.checked('status'), []);
+  assert.equal(page.cards().length, 5);
+});
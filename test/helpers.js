@@ -0,0 +1,38 @@
+'use strict';
+
+// shared by the test files: fixtures, polling, and the bookmarklet running in a jsdom window
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '..', 'jira-dashboard.js'), 'utf8');
+const JIRA_URL = 'https://jira.example.com/sr/jira.issueviews:searchrequest-xml/temp/SearchRequest.xml?jqlQuery=project%3DSHOP';
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+async function until(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.ok(condition(), 'timed out');
+}
+
+// a browser-like window on the JIRA page with the bookmarklet loaded; `fetch` answers its requests
+function bookmarkletWindow(fetch) {
+  const { window } = new JSDOM('<!doctype html><body></body>', { url: 'https://jira.example.com/', runScripts: 'outside-only' });
+  window.console.log = window.console.error = () => {};
+  // every browser has TextEncoder (Basic auth needs it), jsdom does not
+  window.TextEncoder = TextEncoder;
+  window.fetch = fetch;
+  window.eval(SCRIPT);
+  return window;
+}
+
+const response = (body, { status = 200, contentType = 'application/xml' } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: name => (name.toLowerCase() === 'content-type' ? contentType : null) },
+  text: async () => body
+});
+
+module.exports = { JIRA_URL, fixture, until, bookmarkletWindow, response };
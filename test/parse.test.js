@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { createJiraCore } = require('../jira-dashboard.js');
+const { fixture } = require('./helpers');
+
+const core = createJiraCore();
+
+test('parseXml builds elements, attributes and decoded text', () => {
+  const doc = core.parseXml('<?xml version="1.0"?><!-- c --><rss a="1 &amp; 2"><item id=\'x\'><b>&lt;p&gt; &#38; &#x41;</b><br/><![CDATA[<raw> & text]]></item></rss>');
+  const item = doc.querySelector('item');
+  assert.equal(doc.querySelector('rss').getAttribute('a'), '1 & 2');
+  assert.equal(item.getAttribute('id'), 'x');
+  assert.equal(item.getAttribute('missing'), null);
+  assert.equal(item.querySelector('b').textContent, '<p> & A');
+  assert.equal(item.textContent, '<p> & A<raw> & text');
+  assert.equal(item.querySelectorAll('br').length, 1);
+});
+
+test('parseXml supports descendant and child selectors', () => {
+  const doc = core.parseXml('<a><b><c>1</c><d><c>2</c></d></b><c>3</c></a>');
+  assert.deepEqual(doc.querySelectorAll('c').map(c => c.textContent), ['1', '2', '3']);
+  assert.deepEqual(doc.querySelectorAll('b c').map(c => c.textContent), ['1', '2']);
+  assert.deepEqual(doc.querySelectorAll('b > c').map(c => c.textContent), ['1']);
+  assert.deepEqual(doc.querySelectorAll('a > c').map(c => c.textContent), ['3']);
+  assert.equal(doc.querySelector('d').querySelector('b c').textContent, '2');
+  assert.equal(doc.querySelector('x'), null);
+});
+
+test('parseXml rejects malformed XML with a parse error', () => {
+  ['<a><b></a>', '<a>', 'just text', '<a></a></b>', '<a b=1></a>'].forEach(xml => {
+    assert.throws(() => core.parseXml(xml), err => err.kind === 'parse' && /^Malformed XML: /.test(err.message), xml);
+  });
+});
+
+test('parseJiraXML reads every field of a SearchRequest.xml item', () => {
+  const tickets = core.parseJiraXML(fixture('sprint.xml'));
+  assert.deepEqual(tickets.map(t => t.key), ['SHOP-1', 'SHOP-2', 'SHOP-3', 'SHOP-4', 'SHOP-5']);
+  assert.deepEqual(tickets[0], {
+    id: 'https://jira.example.com/browse/SHOP-1',
+    key: 'SHOP-1',
+    summary: 'Pay with saved cards',
+    description: '<p>Checkout offers <b>saved cards</b> &amp; wallets.</p>',
+    type: 'Story',
+    status: 'In Progress',
+    assignee: 'Alice Jones',
+    priority: 'High',
+    updated: 'Tue, 2 Jul 2024 08:30:00 +0000',
+    created: 'Mon, 1 Jul 2024 09:00:00 +0000',
+    parentKey: undefined,
+    link: 'https://jira.example.com/browse/SHOP-1',
+    comments: [
+      { id: '20001', author: 'carol', created: 'Mon, 1 Jul 2024 10:00:00 +0000', body: '<p>Which cards first?</p>' },
+      { id: '20002', author: 'alice', created: 'Tue, 2 Jul 2024 08:30:00 +0000', body: '<p>Visa &amp; Mastercard, see <a href="https://wiki.example.com/cards">the spec</a>.</p>' }
+    ],
+    sprint: 'Sprint 7',
+    storyPoints: 5,
+    originalEstimate: 57600,
+    remainingEstimate: 28800,
+    timeSpent: 28800,
+    due: 'Fri, 12 Jul 2024 00:00:00 +0000',
+    epicKey: 'SHOP-100',
+    links: [{ type: 'Blocks', direction: 'inward', description: 'is blocked by', key: 'SHOP-4', status: null, summary: null }],
+    subtaskKeys: ['SHOP-2']
+  });
+  assert.equal(tickets[1].parentKey, 'SHOP-1');
+  assert.equal(tickets[3].summary, 'Fix "Pay now", then retry');
+  assert.equal(tickets[4].sprint, 'No Sprint');
+  assert.equal(tickets[4].storyPoints, null);
+});
+
+test('parseJiraXML gives the same tickets with the built-in parser and DOMParser', () => {
+  const domCore = createJiraCore({ DOMParser: new JSDOM().window.DOMParser });
+  ['sprint.xml', 'hostile.xml'].forEach(name => {
+    assert.deepEqual(core.parseJiraXML(fixture(name)), domCore.parseJiraXML(fixture(name)), name);
+  });
+});
+
+test('parseJiraXML honours custom story points and epic link fields', () => {
+  const custom = createJiraCore({ STORY_POINTS_FIELD: 'customfield_10002', EPIC_LINK_FIELD: 'Nope' });
+  const [story] = custom.parseJiraXML(fixture('sprint.xml'));
+  assert.equal(story.storyPoints, 5);
+  assert.equal(story.epicKey, undefined);
+});
+
+test('parseJiraPage reads the result total and the page size the server used', () => {
+  const page = core.parseJiraPage(fixture('sprint.xml'));
+  assert.equal(page.tickets.length, 5);
+  assert.equal(page.total, 5);
+  assert.equal(page.pageSize, 5);
+  assert.deepEqual(core.parseJiraPage('<rss><channel><issue start="1000" end="2000" total="2500"/></channel></rss>'), { tickets: [], total: 2500, pageSize: 1000 });
+  assert.deepEqual(core.parseJiraPage('<rss><channel><issue start="0" end="0" total="0"/></channel></rss>'), { tickets: [], total: 0, pageSize: null });
+  assert.deepEqual(core.parseJiraPage('<rss><channel></channel></rss>'), { tickets: [], total: null, pageSize: null });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { createJiraCore } = require('../jira-dashboard.js');
+const { fixture } = require('./helpers');
+
+const core = createJiraCore({ BASE_URL: 'https://jira.example.com' });
+const tickets = core.parseJiraXML(fixture('sprint.xml'));
+const keys = list => list.map(t => t.key);
+
+test('groupTickets splits each group into stories by sprint and tasks', () => {
+  const grouped = core.groupTickets(tickets, 'assignee');
+  assert.deepEqual(Object.keys(grouped), ['Alice Jones', 'Bob Lee', 'Unassigned']);
+  assert.deepEqual(Object.keys(grouped['Alice Jones'].userStoriesBySprint), ['Sprint 7']);
+  assert.deepEqual(keys(grouped['Alice Jones'].userStoriesBySprint['Sprint 7']), ['SHOP-1']);
+  assert.deepEqual(keys(grouped['Alice Jones'].tasks), ['SHOP-2']);
+  assert.deepEqual(keys(grouped['Bob Lee'].raw), ['SHOP-3', 'SHOP-4']);
+  assert.deepEqual(keys(grouped.Unassigned.tasks), ['SHOP-5']);
+});
+
+test('groupTickets pivots by the other groupings', () => {
+  assert.deepEqual(Object.keys(core.groupTickets(tickets, 'sprint')), ['Sprint 7', 'No Sprint']);
+  assert.deepEqual(Object.keys(core.groupTickets(tickets, 'status')), ['In Progress', 'Done', 'To Do', 'In Review', 'Open']);
+  assert.deepEqual(Object.keys(core.groupTickets(tickets, 'priority')), ['High', 'Medium', 'Highest', 'Low']);
+  // the subtask follows its story into the epic
+  const byParent = core.groupTickets(tickets, 'parent');
+  assert.deepEqual(keys(byParent['SHOP-100'].raw), ['SHOP-1', 'SHOP-2', 'SHOP-3']);
+  assert.deepEqual(keys(byParent['No Parent'].raw), ['SHOP-4', 'SHOP-5']);
+  // ... even when a filter hides the story
+  const done = core.groupTickets(tickets.filter(t => t.status === 'Done'), 'parent', new Map(tickets.map(t => [t.key, t])));
+  assert.deepEqual(Object.keys(done), ['SHOP-100']);
+  assert.deepEqual(Object.keys(core.groupTickets(tickets, 'unknown')), Object.keys(core.groupTickets(tickets, 'assignee')));
+});
+
+test('computeStats counts tickets and sums points and time per sprint', () => {
+  const stats = core.computeStats(tickets);
+  assert.equal(stats.totalTickets, 5);
+  assert.equal(stats.userStories, 2);
+  assert.equal(stats.tasks, 3);
+  assert.equal(stats.assignees, 3);
+  assert.deepEqual(stats.workload.sprints, {
+    'Sprint 7': { committed: 8, done: 0, remaining: 32400, spent: 46800 },
+    'No Sprint': { committed: 0, done: 0, remaining: 0, spent: 0 }
+  });
+  assert.equal(stats.workload.committed, 8);
+  assert.equal(stats.workload.remaining, 32400);
+  assert.equal(stats.workload.spent, 46800);
+  // both due dates lie in the past and neither ticket is done
+  assert.deepEqual(keys(stats.workload.overdue), ['SHOP-1', 'SHOP-5']);
+  assert.equal(core.formatDuration(stats.workload.remaining), '1d 1h');
+});
+
+test('ticketsToCSV quotes cells and defuses formulas', () => {
+  const rows = core.ticketsToCSV(tickets).split('\r\n');
+  assert.equal(rows.length, 7);
+  assert.equal(rows[6], '');
+  assert.equal(rows[0], 'Key,Type,Summary,Status,Priority,Assignee,Sprint,Parent Key,Created,Updated,Comments,Story Points,Original Estimate (h),Remaining Estimate (h),Time Spent (h),Due,Epic,Blocked By,Link');
+  assert.equal(rows[1], 'SHOP-1,Story,Pay with saved cards,In Progress,High,Alice Jones,Sprint 7,,"Mon, 1 Jul 2024 09:00:00 +0000","Tue, 2 Jul 2024 08:30:00 +0000",2,5,16,8,8,"Fri, 12 Jul 2024 00:00:00 +0000",SHOP-100,SHOP-4,https://jira.example.com/browse/SHOP-1');
+  assert.match(rows[4], /^SHOP-4,Task,"Fix ""Pay now"", then retry",In Review,/);
+  assert.match(rows[5], /^SHOP-5,Task,"'=HYPERLINK\(""https:\/\/evil\.example\.com""\)",/);
+});
+
+test('ticketsToMarkdown nests subtasks under their story and escapes ticket text', () => {
+  const markdown = core.ticketsToMarkdown(core.createReportData(tickets, 'assignee'));
+  const lines = markdown.split('\n');
+  assert.equal(lines[0], '# JIRA Sprint Report');
+  assert.match(lines[2], /^_Generated .* — 5 tickets, 2 stories, 3 tasks, 3 assignees_$/);
+  assert.deepEqual(lines.slice(4, 9), ['## Alice Jones', '', '### Sprint 7', '', '- **SHOP-1** Pay with saved cards — _In Progress_']);
+  assert.match(lines[9], /^ {2}- 💬 alice \(.+\): Visa & Mastercard, see the spec \.$/);
+  assert.equal(lines[10], '  - **SHOP-2** Store card tokens — _Done_');
+  assert.ok(markdown.includes('### Standalone Tasks\n\n- **SHOP-4** Fix "Pay now", then retry — _In Review_\n'));
+  assert.ok(markdown.includes('- **SHOP-5** =HYPERLINK("https://evil.example.com") — _Open_'));
+
+  const hostile = core.ticketsToMarkdown(core.createReportData([{ key: 'X-1', type: 'Task', summary: '<b>*bold*</b> [x](y)', status: 'Open', assignee: 'a|b' }]));
+  assert.ok(hostile.includes('## a\\|b\n'));
+  assert.ok(hostile.includes('- **X-1** &lt;b&gt;\\*bold\\*&lt;/b&gt; \\[x\\](y) — _Open_'));
+});
+
+test('renderReportHtml renders a standalone page for the chosen view', () => {
+  const data = core.createReportData(tickets, 'assignee');
+  const html = core.renderReportHtml(data, { title: 'Sprint 7 <review>', generatedAt: new Date('2024-07-02T09:00:00Z') });
+  const { document } = new JSDOM(html).window;
+  assert.equal(document.title, 'Sprint 7 <review>');
+  assert.equal(document.querySelector('h1').textContent, 'Sprint 7 <review>');
+  assert.match(html, /5 tickets<\/div>/);
+  assert.deepEqual(Array.from(document.querySelectorAll('[data-ticket-card]')).map(el => el.getAttribute('data-ticket-card')), ['SHOP-1', 'SHOP-3', 'SHOP-4', 'SHOP-5']);
+  assert.ok(document.getElementById(core.sectionId('group', 'assignee', 'Bob Lee')));
+  // SHOP-4 blocks SHOP-1, so SHOP-1's card carries a blocker badge
+  assert.match(document.querySelector('[data-ticket-card="SHOP-1"]').textContent, /blocked by\s*SHOP-4/);
+  assert.equal(document.querySelectorAll('script').length, 1);
+
+  const kanban = new JSDOM(core.renderReportHtml(data, { view: 'kanban' })).window.document;
+  assert.deepEqual(Array.from(kanban.querySelectorAll('[data-ticket-card]')).map(el => el.getAttribute('data-ticket-card')).sort(), keys(tickets));
+});
+
+test('story cards link subtasks that are not in the results', () => {
+  const render = list => new JSDOM(core.renderReportHtml(core.createReportData(list, 'sprint'))).window.document;
+  const withoutSubtask = render(tickets.filter(t => t.key !== 'SHOP-2'));
+  const badge = withoutSubtask.querySelector('[data-ticket-card="SHOP-1"] a[title="SHOP-2 (not in current results)"]');
+  assert.ok(badge);
+  assert.equal(badge.getAttribute('href'), 'https://jira.example.com/browse/SHOP-2');
+  assert.match(badge.textContent, /subtask SHOP-2/);
+  // listed subtasks are shown under the story instead
+  assert.equal(render(tickets).querySelector('[data-ticket-card="SHOP-1"] a[title="SHOP-2 (not in current results)"]'), null);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { createJiraCore } = require('../jira-dashboard.js');
+const { fixture } = require('./helpers');
+
+const hostileXml = fixture('hostile.xml');
+const { DOMParser } = new JSDOM().window;
+
+// the bookmarklet sanitizes a DOM, Node (the report CLI) a token stream: both must produce the same markup
+const CORES = {
+  'DOM sanitizer': createJiraCore({ DOMParser, BASE_URL: 'https://jira.example.com' }),
+  'token sanitizer': createJiraCore({ BASE_URL: 'https://jira.example.com' })
+};
+
+const ANCHOR = 'target="_blank" rel="noopener noreferrer"';
+const EXPECTED_DESCRIPTIONS = {
+  'EVIL-1': '<p>Screenshot: <img src="https://jira.example.com/secure/x.png"></p>',
+  'EVIL-2': `<a ${ANCHOR}>click</a><a ${ANCHOR}>me</a>`,
+  'EVIL-3': `<a ${ANCHOR}>a</a><a ${ANCHOR}>b</a><a ${ANCHOR}>c</a>`,
+  'EVIL-4': 'after',
+  'EVIL-5': 'before',
+  'EVIL-6': `<a href="https://jira.example.com/" title="x&quot; onmouseover=&quot;alert(1)" ${ANCHOR}>t</a><abbr title="&quot; onmouseover=&quot;alert(2)">u</abbr>`,
+  'EVIL-7': '<p>Use &lt;b&gt; tags</p>'
+};
+
+// parses rendered markup and lists anything that could run: only the report's own toggle handlers may remain
+function activeContent(html) {
+  const { document } = new JSDOM(html).window;
+  const problems = [];
+  document.querySelectorAll('*').forEach(el => {
+    const tag = el.tagName.toLowerCase();
+    if (['svg', 'iframe', 'object', 'embed'].includes(tag)) problems.push(`<${tag}>`);
+    if (tag === 'script' && /alert/.test(el.textContent)) problems.push(`<script>${el.textContent}`);
+    Array.from(el.attributes).forEach(attr => {
+      if (/^on/i.test(attr.name) && !/^window\.toggleJiraSection\('[\w-]+'\)$/.test(attr.value)) problems.push(`${attr.name}=${attr.value}`);
+      if (/^(href|src)$/i.test(attr.name) && /^\s*javascript:/i.test(attr.value.replace(/[\u0000- ]/g, ''))) problems.push(`${attr.name}=${attr.value}`);
+    });
+  });
+  return problems;
+}
+
+Object.entries(CORES).forEach(([name, core]) => {
+  const tickets = core.parseJiraXML(hostileXml);
+  const byKey = key => tickets.find(t => t.key === key);
+
+  test(`${name}: parses every hostile ticket`, () => {
+    assert.deepEqual(tickets.map(t => t.key), Object.keys(EXPECTED_DESCRIPTIONS));
+  });
+
+  test(`${name}: sanitizes descriptions`, () => {
+    tickets.forEach(t => assert.equal(core.sanitizeHtml(t.description), EXPECTED_DESCRIPTIONS[t.key], t.key));
+  });
+
+  test(`${name}: sanitizes comments`, () => {
+    assert.equal(core.sanitizeHtml(byKey('EVIL-1').comments[0].body), '<p>ok</p><img src="x">');
+    assert.equal(core.sanitizeHtml(byKey('EVIL-7').comments[0].body), '<p>Write &lt;script&gt; as text</p>');
+  });
+
+  test(`${name}: decodes escaped markup only once`, () => {
+    assert.equal(byKey('EVIL-7').description, '<p>Use &lt;b&gt; tags</p>');
+    assert.equal(core.htmlToText(byKey('EVIL-7').description), 'Use <b> tags');
+  });
+
+  test(`${name}: escapes summary, assignee, sprint and link in every view`, () => {
+    const evil = byKey('EVIL-1');
+    assert.equal(evil.summary, "<img src=x onerror=alert('summary')>");
+    assert.equal(evil.assignee, `"><script>alert('assignee')</script>`);
+    assert.equal(evil.sprint, "<svg onload=alert('sprint')>");
+    assert.equal(core.sanitizeUrl(evil.link), '');
+
+    const data = core.createReportData(tickets, 'assignee');
+    const views = {
+      assignee: core.renderGroupListHtml(data.groupedTickets, 'assignee'),
+      sprint: core.renderGroupListHtml(core.groupTickets(tickets, 'sprint'), 'sprint'),
+      kanban: core.renderKanbanHtml(tickets),
+      stats: core.renderStatsHtml(data.stats),
+      report: core.renderReportHtml(data, { generatedAt: new Date('2024-07-02T09:00:00Z') })
+    };
+    Object.entries(views).forEach(([view, html]) => {
+      assert.deepEqual(activeContent(html), [], view);
+      assert.doesNotMatch(html, /href="javascript:/i, view);
+    });
+    assert.match(views.assignee, /&lt;img src=x onerror=alert\(&#39;summary&#39;\)&gt;/);
+    assert.match(views.assignee, /&quot;&gt;&lt;script&gt;alert\(&#39;assignee&#39;\)&lt;\/script&gt;/);
+    assert.match(views.sprint, /&lt;svg onload=alert\(&#39;sprint&#39;\)&gt;/);
+  });
+});
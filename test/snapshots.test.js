@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JIRA_URL, fixture, until, bookmarkletWindow, response } = require('./helpers');
+
+const SPRINT_XML = fixture('sprint.xml');
+const CONFIG = { JIRA_URL, BEARER_TOKEN: 't', MAX_SNAPSHOTS: 3 };
+
+// the bookmarklet in a browser-like window whose JIRA answers with `state.xml`
+function browser(state) {
+  const window = bookmarkletWindow(async () => response(state.xml));
+  const document = window.document;
+  return {
+    window,
+    stored: () => JSON.parse(window.localStorage.getItem('jira-dashboard-snapshots:project=SHOP') || '[]'),
+    cardText: key => (document.querySelector(`[data-ticket-card="${key}"]`) || { textContent: '' }).textContent,
+    baseline: () => document.querySelector('[data-changes-baseline]'),
+    async open() {
+      document.getElementById('jira-dashboard-popup')?.remove();
+      window.createJiraDashboard(CONFIG);
+      await until(() => document.querySelector('#jira-dashboard-popup [data-refresh]'));
+    }
+  };
+}
+
+const withStatus = (key, status) => SPRINT_XML.replace(new RegExp(`(<key id="\\d+">${key}</key>[\\s\\S]*?<status[^>]*>)[^<]*`), `$1${status}`);
+
+test('refreshes keep one snapshot per run and never evict the baseline', async () => {
+  const state = { xml: SPRINT_XML };
+  const page = browser(state);
+  await page.open();
+  assert.equal(page.stored().length, 1);
+  const firstRun = page.stored()[0].takenAt;
+
+  state.xml = withStatus('SHOP-4', 'Done');
+  await page.open();
+  assert.equal(page.stored().length, 2);
+  assert.equal(page.baseline().value, firstRun);
+
+  for (let i = 0; i < 8; i++) {
+    state.xml = withStatus('SHOP-4', `Step ${i}`);
+    page.window.document.querySelector('[data-refresh]').click();
+    await until(() => page.cardText('SHOP-4').includes(`Step ${i}`));
+  }
+  const stored = page.stored();
+  assert.equal(stored.length, 2);
+  assert.equal(stored[0].takenAt, firstRun);
+  assert.equal(stored[1].tickets.find(t => t.key === 'SHOP-4').status, 'Step 7');
+  assert.equal(page.baseline().value, firstRun);
+  assert.match(page.cardText('SHOP-4'), /Status: In Review → Step 7/);
+});
+
+test('the first run of a query compares refreshes with how it started', async () => {
+  const state = { xml: SPRINT_XML };
+  const page = browser(state);
+  await page.open();
+  state.xml = withStatus('SHOP-3', 'In Progress');
+  page.window.document.querySelector('[data-refresh]').click();
+  await until(() => page.cardText('SHOP-3').includes('Status: To Do → In Progress'));
+  assert.equal(page.stored().length, 1);
+});
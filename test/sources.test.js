@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJiraCore } = require('../jira-dashboard.js');
+const { fixture } = require('./helpers');
+
+// sprint.xml and sprint-rest.json describe the same five issues, once per data source
+const core = createJiraCore({ BASE_URL: 'https://jira.example.com' });
+const xmlTickets = core.parseJiraPage(fixture('sprint.xml')).tickets;
+const restTickets = core.parseJiraRestSearch(JSON.parse(fixture('sprint-rest.json')));
+
+// only REST knows status and summary of linked issues
+const normalize = tickets => tickets.map(t => Object.assign({}, t, {
+  links: t.links.map(l => Object.assign({}, l, { status: null, summary: null }))
+}));
+
+test('XML and REST give the same tickets', () => {
+  assert.equal(xmlTickets.length, 5);
+  assert.deepEqual(normalize(restTickets), normalize(xmlTickets));
+});
+
+test('XML and REST export the same CSV', () => {
+  assert.equal(core.ticketsToCSV(restTickets), core.ticketsToCSV(xmlTickets));
+});
+
+test('XML and REST render the same dashboard in every view', () => {
+  const generatedAt = new Date('2024-07-02T09:00:00Z');
+  Object.keys(core.GROUPINGS).concat('kanban').forEach(view => {
+    const render = tickets => core.renderReportHtml(core.createReportData(tickets, core.GROUPINGS[view] ? view : 'status'), { view, generatedAt });
+    assert.equal(render(restTickets), render(xmlTickets), view);
+  });
+});
+
+test('XML and REST export the same Markdown', () => {
+  const markdown = tickets => core.ticketsToMarkdown(core.createReportData(tickets, 'assignee')).replace(/^_Generated .*$/m, '');
+  assert.equal(markdown(restTickets), markdown(xmlTickets));
+});